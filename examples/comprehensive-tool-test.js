@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 const { MCPTestFrameworkAdvanced } = require('../lib/mcp-test-framework-advanced-v2.js');
+const { generateArguments } = require('../lib/schema-arg-generator.js');
 
 async function comprehensiveToolTest() {
   console.log('🧪 Comprehensive MCP Tool Testing Example\n');
@@ -21,6 +22,10 @@ async function comprehensiveToolTest() {
     testPerformance: true,
     testProtocolCompliance: true,
     testErrorHandling: true,
+    // setLevel at every level, with mcp_logging making the server log
+    testLogging: {
+      trigger: { toolName: 'mcp_logging', arguments: { level: 'debug', message: 'Logging test' } }
+    },
     
     // Custom tests for specific scenarios
     customTests: [
@@ -67,7 +72,7 @@ async function comprehensiveToolTest() {
               const start = Date.now();
               const result = await client.callTool({
                 name: tool.name,
-                arguments: generateSampleArgs(tool.inputSchema)
+                arguments: generateArguments(tool.inputSchema)
               });
               
               results.push({
@@ -147,18 +152,35 @@ async function comprehensiveToolTest() {
           }
         ]
       },
+      // The tester plays the user: accept with generated values, then
+      // decline and cancel, each of which the tool must handle gracefully
       {
         toolName: 'elicitation_example',
         arguments: { prompt: 'Test elicitation' },
+        elicitation: 'accept',
+        assertions: [
+          async (result, { elicitationRequests }) => {
+            if (elicitationRequests.length === 0) {
+              throw new Error('Tool did not request any input');
+            }
+            if (result.isError) {
+              throw new Error(`Accepted input was not used: ${result.content[0]?.text}`);
+            }
+          }
+        ]
+      },
+      ...['decline', 'cancel'].map(action => ({
+        toolName: 'elicitation_example',
+        arguments: { prompt: 'Test elicitation' },
+        elicitation: action,
         assertions: [
           async (result) => {
-            // Should handle elicitation pattern
-            if (!result.content) {
-              throw new Error('Elicitation should return content');
+            if (!result.content || result.content.length === 0) {
+              throw new Error(`Tool returned no content after the user chose ${action}`);
             }
           }
         ]
-      }
+      }))
     ]
   };
 
@@ -170,6 +192,8 @@ async function comprehensiveToolTest() {
       headers: {
         'User-Agent': 'MCP-Tester/2.0'
       }
+      // Or let the tester start and stop the server:
+      // serve: { command: 'node', args: ['./server.js'], env: { PORT: '3000' } }
     },
     tests
   );
@@ -209,34 +233,6 @@ async function comprehensiveToolTest() {
   return report.summary.failed === 0;
 }
 
-// Helper function to generate sample arguments
-function generateSampleArgs(schema) {
-  if (!schema || !schema.properties) return {};
-  
-  const args = {};
-  for (const [key, prop] of Object.entries(schema.properties)) {
-    switch (prop.type) {
-      case 'string':
-        args[key] = prop.default || 'test-value';
-        break;
-      case 'number':
-        args[key] = prop.default || 1;
-        break;
-      case 'boolean':
-        args[key] = prop.default || false;
-        break;
-      case 'array':
-        args[key] = [];
-        break;
-      case 'object':
-        args[key] = {};
-        break;
-    }
-  }
-  
-  return args;
-}
-
 // Run the test
 comprehensiveToolTest()
   .then(success => {
@@ -63,13 +63,24 @@ class ExampleMCPServer {
               required: ['message'],
             },
           },
+          {
+            name: 'stream_data',
+            description: 'Produces data in chunks, reporting progress after each one',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                chunks: { type: 'integer', description: 'Number of chunks', minimum: 1, maximum: 20, default: 3 },
+                delay: { type: 'integer', description: 'Delay between chunks in ms', minimum: 0, maximum: 1000, default: 100 },
+              },
+            },
+          },
         ],
       };
     });
 
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       switch (name) {
@@ -112,6 +123,35 @@ class ExampleMCPServer {
             ],
           };
 
+        case 'stream_data': {
+          const chunks = Math.min(Math.max(args.chunks ?? 3, 1), 20);
+          const delay = Math.min(Math.max(args.delay ?? 100, 0), 1000);
+          // Progress goes out only when the client sent a token for it
+          const progressToken = request.params._meta?.progressToken;
+          const lines = [];
+
+          for (let i = 1; i <= chunks; i++) {
+            lines.push(`Chunk ${i}/${chunks}`);
+            if (progressToken !== undefined) {
+              await extra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress: i, total: chunks, message: `Chunk ${i}/${chunks}` },
+              });
+            }
+            if (i < chunks && delay > 0) {
+              await new Promise(resolve => setTimeout(resolve, delay));
+            }
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: lines.join('\n'),
+              },
+            ],
+          };
+        }
+
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
@@ -5,15 +5,21 @@
  * Comprehensive testing framework for Model Context Protocol servers
  */
 
-const { MCPTestFrameworkAdvanced } = require('./lib/mcp-test-framework-advanced-v2.js');
+const { MCPTestFrameworkAdvanced, runCli } = require('./lib/mcp-test-framework-advanced-v2.js');
+const { generateArguments } = require('./lib/schema-arg-generator.js');
+const { registerReporter } = require('./lib/reporters.js');
+const { startMockServer } = require('./lib/mock-server.js');
 
 module.exports = {
   MCPTestFrameworkAdvanced,
+  generateArguments,
+  registerReporter,
+  startMockServer,
   // Re-export for backwards compatibility
   MCPTestFramework: MCPTestFrameworkAdvanced
 };
 
 // If called directly as a script, run the CLI
 if (require.main === module) {
-  require('./lib/mcp-test-framework-advanced-v2.js');
+  runCli(process.argv.slice(2));
 }
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Request cancellation checks
+ *
+ * Starts a slow tool call, cancels it through an AbortSignal (the SDK then
+ * sends notifications/cancelled) and watches what the server does next. A
+ * server that honours the cancellation sends neither the response nor
+ * further progress for the request; either one means the work went on.
+ */
+
+const { CallToolResultSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { watchUnmatchedMessages } = require('./unmatched-messages.js');
+
+const CANCELLATION_HINT = 'On notifications/cancelled, stop the work for that requestId and do not send its response ' +
+  '(with the SDK, pass the handler\'s extra.signal to anything long-running).';
+
+const DEFAULT_CANCEL_AFTER = 100;
+const DEFAULT_OBSERVE_FOR = 1000;
+
+/**
+ * Call a tool, cancel it after `cancelAfter` ms and collect what arrives
+ * for it during the next `observeFor` ms
+ * @param {Client} client - Connected SDK client
+ * @param {Object} options - { toolName, arguments, cancelAfter: 100, observeFor: 1000 }
+ * @returns {Promise<Object>} { completedBeforeCancel, duration } when the call
+ *   finished first, otherwise { cancelledAfter, progressBeforeCancel,
+ *   lateResponse, lateProgress }
+ */
+async function observeCancellation(client, options) {
+  const cancelAfter = options.cancelAfter ?? DEFAULT_CANCEL_AFTER;
+  const observeFor = options.observeFor ?? DEFAULT_OBSERVE_FOR;
+
+  const started = Date.now();
+  let cancelledAt = null;
+  let progressBeforeCancel = 0;
+  let lateResponse = null;
+  const lateProgress = [];
+
+  // Nothing else is in flight, so any unmatched message belongs to the call
+  const stopWatching = watchUnmatchedMessages(client, (kind, message) => {
+    if (cancelledAt === null) return;
+    const after = Date.now() - cancelledAt;
+    if (kind === 'response') {
+      lateResponse = { after, ...(message.error ? { error: message.error } : { result: message.result }) };
+    } else {
+      lateProgress.push({ after, progress: message.params?.progress });
+    }
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    cancelledAt = Date.now();
+    controller.abort(new Error('Cancelled by the cancellation test'));
+  }, cancelAfter);
+
+  try {
+    try {
+      await client.request({
+        method: 'tools/call',
+        params: { name: options.toolName, arguments: options.arguments || {} }
+      }, CallToolResultSchema, {
+        signal: controller.signal,
+        onprogress: () => progressBeforeCancel++
+      });
+      return { completedBeforeCancel: true, duration: Date.now() - started };
+    } catch (error) {
+      if (!controller.signal.aborted) throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, observeFor));
+    return {
+      completedBeforeCancel: false,
+      cancelledAfter: cancelledAt - started,
+      progressBeforeCancel,
+      lateResponse,
+      lateProgress
+    };
+  } finally {
+    clearTimeout(timer);
+    stopWatching();
+  }
+}
+
+module.exports = { observeCancellation, CANCELLATION_HINT };
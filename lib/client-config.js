@@ -0,0 +1,207 @@
+/**
+ * MCP client config files (Claude Desktop, VS Code, Cursor)
+ *
+ * Reads the servers a team already declares for its MCP clients and turns
+ * each entry into a transport config for MCPTestFrameworkAdvanced:
+ *
+ *   claude_desktop_config.json, .cursor/mcp.json   { "mcpServers": { ... } }
+ *   .vscode/mcp.json                               { "servers": { ... } }
+ *   VS Code settings.json                          { "mcp": { "servers": { ... } } }
+ *
+ * Entries with a `command` become stdio transports, entries with a `url`
+ * become sse or streamableHttp transports ("auto" when the file does not
+ * say which). `${env:NAME}`, `${workspaceFolder}` and `${userHome}` are
+ * expanded the way the clients expand them.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// `type` values of url entries, as the different clients spell them
+const URL_TRANSPORTS = {
+  sse: 'sse',
+  http: 'streamableHttp',
+  'streamable-http': 'streamableHttp',
+  streamableHttp: 'streamableHttp'
+};
+
+// Index of the next character that is not whitespace or a comment
+function nextSignificant(text, from) {
+  let i = from;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Parse JSON with comments and trailing commas, which VS Code allows
+ */
+function parseJsonc(text) {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === ',' && '}]'.includes(text[nextSignificant(text, i + 1)])) {
+      // Trailing comma
+    } else {
+      output += char;
+    }
+  }
+  return JSON.parse(output);
+}
+
+/**
+ * The servers object of a parsed config file, whichever client wrote it
+ */
+function serversOf(doc) {
+  const servers = doc?.mcpServers || doc?.servers || doc?.mcp?.servers;
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new Error('no "mcpServers" (Claude Desktop, Cursor) or "servers" (VS Code) object found');
+  }
+  return servers;
+}
+
+function expandVariables(value, variables, where) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([^}]+)\}/g, (match, name) => {
+      if (name.startsWith('env:')) {
+        const envName = name.slice(4);
+        if (process.env[envName] === undefined) {
+          throw new Error(`${where}: environment variable ${envName} is not set`);
+        }
+        return process.env[envName];
+      }
+      if (name.startsWith('input:')) {
+        throw new Error(`${where}: ${match} is prompted for by VS Code; use \${env:NAME} instead to test it here`);
+      }
+      return variables[name] ?? match;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandVariables(item, variables, where));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, expandVariables(item, variables, where)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Convert one server entry into a transport config
+ * @param {Object} entry - The entry under mcpServers/servers
+ * @param {string} workspaceFolder - Working directory of stdio servers
+ * @param {string} where - Prefix for error messages
+ */
+function toTransportConfig(entry, workspaceFolder, where) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where}: server entry must be an object`);
+  }
+  if (entry.envFile) {
+    throw new Error(`${where}: "envFile" is not supported; put the variables in "env" or export them`);
+  }
+
+  const variables = { workspaceFolder, userHome: os.homedir() };
+  const expanded = expandVariables(entry, variables, where);
+  const type = expanded.type || expanded.transport;
+
+  if (expanded.command) {
+    return {
+      type: 'stdio',
+      command: expanded.command,
+      args: expanded.args || [],
+      ...(expanded.env ? { env: expanded.env } : {}),
+      cwd: path.resolve(workspaceFolder, expanded.cwd || '.')
+    };
+  }
+
+  if (expanded.url && type !== 'stdio') {
+    if (type && !URL_TRANSPORTS[type]) {
+      throw new Error(`${where}: unknown transport type "${type}"`);
+    }
+    return {
+      type: URL_TRANSPORTS[type] || 'auto',
+      url: expanded.url,
+      headers: expanded.headers || {}
+    };
+  }
+
+  throw new Error(`${where}: server entry needs a "command" or a "url"`);
+}
+
+/**
+ * Load the servers of a client config file
+ * @param {string} filePath - Path to the config file
+ * @param {string} [serverName] - Only load this server
+ * @returns {Promise<{name: string, transportConfig?: Object, error?: string}[]>}
+ *   One entry per server; a server that cannot be converted carries
+ *   `error` instead of failing the others
+ */
+async function loadClientConfig(filePath, serverName) {
+  const absolute = path.resolve(filePath);
+  const text = await fs.readFile(absolute, 'utf8');
+
+  let servers;
+  try {
+    servers = serversOf(parseJsonc(text));
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+
+  // Project files live in .vscode/ or .cursor/ and run servers from the
+  // project root
+  const configDir = path.dirname(absolute);
+  const workspaceFolder = ['.vscode', '.cursor'].includes(path.basename(configDir))
+    ? path.dirname(configDir)
+    : configDir;
+
+  let names = Object.keys(servers);
+  if (serverName !== undefined) {
+    if (!names.includes(serverName)) {
+      throw new Error(`${filePath}: no server named "${serverName}" (available: ${names.join(', ') || 'none'})`);
+    }
+    names = [serverName];
+  } else {
+    // Disabled servers are only tested when asked for by name
+    names = names.filter(name => servers[name]?.disabled !== true);
+  }
+
+  return names.map(name => {
+    try {
+      return { name, transportConfig: toTransportConfig(servers[name], workspaceFolder, `${filePath} › ${name}`) };
+    } catch (error) {
+      return { name, error: error.message };
+    }
+  });
+}
+
+module.exports = { loadClientConfig, toTransportConfig, parseJsonc };
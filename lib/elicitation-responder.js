@@ -0,0 +1,243 @@
+/**
+ * Scripted elicitation responder
+ *
+ * Servers that call elicitation/create need a client that advertises the
+ * `elicitation` capability and plays the user. With an `elicitation` block
+ * the tester does both, picking the user's choice from a script:
+ *
+ *   elicitation: accept             # or decline, cancel: the same for every request
+ *
+ *   elicitation:
+ *     responses:                    # first match wins
+ *       - match: "e-?mail"          # regex over the request's message
+ *         action: accept
+ *         content: { email: "ada@example.com" }
+ *       - action: decline
+ *
+ * `accept` without `content` answers with values generated from the
+ * requestedSchema. A tool test can carry its own `elicitation` to check how
+ * the tool handles each choice. Before answering, the requestedSchema is
+ * checked to be the flat object of primitive properties the spec allows; a
+ * request that is not gets an InvalidParams error and the problems are
+ * recorded.
+ */
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { generateArguments } = require('./schema-arg-generator.js');
+
+// `reject` is what SDK releases before the spec settled on `decline`
+// (1.13 among them) accept instead; script it for servers built on those
+const ACTIONS = ['accept', 'decline', 'cancel', 'reject'];
+
+const ELICITATION_HINT = 'requestedSchema must be { type: "object", properties, required } whose properties are ' +
+  'strings (optionally with format email, uri, date or date-time, or an enum of strings), numbers, integers or ' +
+  'booleans; nested objects and arrays are not allowed.';
+
+const STRING_FORMATS = ['email', 'uri', 'date', 'date-time'];
+// Keywords that only make sense in nested or composed schemas
+const NESTING_KEYWORDS = ['properties', 'items', '$ref', 'oneOf', 'anyOf', 'allOf', 'not'];
+
+/**
+ * Problems with a requestedSchema, empty when it is a flat primitive schema
+ * @param {Object} schema - params.requestedSchema of an elicitation/create request
+ * @returns {string[]}
+ */
+function checkRequestedSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return ['requestedSchema is missing or not an object'];
+  }
+
+  const problems = [];
+  if (schema.type !== 'object') {
+    problems.push(`requestedSchema must have type "object", got ${JSON.stringify(schema.type)}`);
+  }
+  const properties = schema.properties;
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    problems.push('requestedSchema has no "properties" object');
+    return problems;
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    const where = `property "${name}"`;
+    if (!property || typeof property !== 'object' || Array.isArray(property)) {
+      problems.push(`${where} is not a schema object`);
+      continue;
+    }
+    const nesting = NESTING_KEYWORDS.filter(keyword => keyword in property);
+    if (property.type === 'object' || property.type === 'array' || nesting.length > 0) {
+      problems.push(`${where} is nested (${nesting[0] || `type ${property.type}`}); only primitive properties are allowed`);
+      continue;
+    }
+
+    switch (property.type) {
+      case 'string':
+        if (property.format !== undefined && !STRING_FORMATS.includes(property.format)) {
+          problems.push(`${where} has format "${property.format}" (allowed: ${STRING_FORMATS.join(', ')})`);
+        }
+        if (property.enum !== undefined) {
+          if (!Array.isArray(property.enum) || property.enum.some(value => typeof value !== 'string')) {
+            problems.push(`${where} has an enum that is not a list of strings`);
+          } else if (property.enumNames !== undefined &&
+            (!Array.isArray(property.enumNames) || property.enumNames.length !== property.enum.length)) {
+            problems.push(`${where} has enumNames that do not match its ${property.enum.length} enum values`);
+          }
+        }
+        break;
+      case 'number':
+      case 'integer':
+        for (const bound of ['minimum', 'maximum']) {
+          if (property[bound] !== undefined && typeof property[bound] !== 'number') {
+            problems.push(`${where} has a non-numeric ${bound}`);
+          }
+        }
+        break;
+      case 'boolean':
+        break;
+      default:
+        problems.push(`${where} has type ${JSON.stringify(property.type)}; use string, number, integer or boolean`);
+    }
+  }
+
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required)) {
+      problems.push('requestedSchema "required" is not a list');
+    } else {
+      const unknown = schema.required.filter(name => !(name in properties));
+      if (unknown.length > 0) {
+        problems.push(`"required" lists ${unknown.map(name => `"${name}"`).join(', ')}, not in properties`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate an elicitation script and compile its message patterns
+ * @param {string|Object|Function} config - An action ("accept", "decline", ...),
+ *   { action, content }, { responses: [...] }, { handler } or a function
+ * @returns {Object} { handler } or { responses: [{ pattern, action, content }] }
+ */
+function compileElicitationScript(config) {
+  if (typeof config === 'function') {
+    return { handler: config };
+  }
+  if (typeof config === 'string') {
+    config = { action: config };
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`"elicitation" must be one of ${ACTIONS.join(', ')} or an object`);
+  }
+  if (config.handler !== undefined) {
+    if (typeof config.handler !== 'function') {
+      throw new Error('elicitation "handler" must be a function');
+    }
+    return { handler: config.handler };
+  }
+
+  const list = config.responses !== undefined ? config.responses : [config];
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('elicitation "responses" must be a non-empty list');
+  }
+
+  const responses = list.map((response, i) => {
+    const where = config.responses !== undefined ? `elicitation response ${i + 1}` : 'elicitation';
+    if (!response || typeof response !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (!ACTIONS.includes(response.action)) {
+      throw new Error(`${where} needs an "action" of ${ACTIONS.join(', ')}`);
+    }
+    if (response.content !== undefined && response.action !== 'accept') {
+      throw new Error(`${where}: "content" is only sent with accept`);
+    }
+    let pattern = null;
+    if (response.match !== undefined) {
+      try {
+        pattern = new RegExp(response.match, response.flags);
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    }
+    return { action: response.action, content: response.content, pattern };
+  });
+
+  return { responses };
+}
+
+class ElicitationResponder {
+  /**
+   * @param {string|Object|Function|null} config - The suite's `elicitation`
+   *   value; null answers only while a tool test's own script is in use
+   * @param {Function} context - Returns { suite, test } for new requests
+   */
+  constructor(config, context = () => ({})) {
+    this.script = config ? compileElicitationScript(config) : null;
+    this.context = context;
+    this.requests = [];
+    // A tool test's own script, used instead of the suite's while it runs
+    this.override = null;
+  }
+
+  /**
+   * Check and answer an elicitation/create request, and record it
+   * @param {Object} request - The ElicitRequest
+   * @returns {Promise<Object>} An ElicitResult
+   */
+  async handle(request) {
+    const { _meta, ...params } = request.params || {};
+    const { suite = null, test = null } = this.context();
+    const entry = { timestamp: new Date().toISOString(), suite, test, ...params };
+    this.requests.push(entry);
+
+    try {
+      const problems = checkRequestedSchema(params.requestedSchema);
+      if (problems.length > 0) {
+        entry.schemaProblems = problems;
+        throw new McpError(ErrorCode.InvalidParams, `Invalid requestedSchema: ${problems.join('; ')}`);
+      }
+      entry.response = await this.respond(params);
+      return entry.response;
+    } catch (error) {
+      entry.error = { code: error.code, message: error.message };
+      throw error;
+    }
+  }
+
+  async respond(params) {
+    const script = this.override || this.script;
+    if (!script) {
+      throw new McpError(ErrorCode.InternalError, 'No elicitation response is scripted for this request');
+    }
+    if (script.handler) {
+      return script.handler(params);
+    }
+
+    const message = params.message || '';
+    const response = script.responses.find(r => !r.pattern || r.pattern.test(message));
+    if (!response) {
+      throw new McpError(ErrorCode.InternalError, `No scripted elicitation response matches: ${message}`);
+    }
+    if (response.action !== 'accept') {
+      return { action: response.action };
+    }
+    return {
+      action: 'accept',
+      content: response.content || generateArguments(params.requestedSchema)
+    };
+  }
+
+  /**
+   * Requests recorded from index `start`
+   */
+  since(start) {
+    return this.requests.slice(start);
+  }
+}
+
+module.exports = {
+  ElicitationResponder,
+  compileElicitationScript,
+  checkRequestedSchema,
+  ELICITATION_HINT
+};
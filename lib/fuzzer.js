@@ -0,0 +1,235 @@
+/**
+ * Property-based fuzzing helpers
+ *
+ * Seeded random number generation, schema-invalid argument mutations and
+ * greedy shrinking of failing inputs. The framework drives the actual tool
+ * calls (see MCPTestFrameworkAdvanced.runFuzzTests).
+ */
+
+const { generateArguments, generateValue, createRng } = require('./schema-arg-generator.js');
+const { typeOf } = require('./json-schema-validator.js');
+
+const HOSTILE_STRINGS = [
+  '',
+  ' ',
+  'A'.repeat(100000),
+  '\u0000',
+  '￿￾',
+  '😀'.repeat(50),
+  '../../../../etc/passwd',
+  "'; DROP TABLE users; --",
+  '<script>alert(1)</script>',
+  '${jndi:ldap://example.invalid/a}',
+  '%s%s%s%n',
+  '{{7*7}}',
+  'null',
+  '-1'
+];
+
+const EXTREME_NUMBERS = [
+  0,
+  -1,
+  -0.5,
+  Number.MAX_SAFE_INTEGER,
+  Number.MIN_SAFE_INTEGER,
+  1e308,
+  -1e308,
+  Number.EPSILON
+];
+
+const WRONG_TYPE_VALUES = [12345, 'not-the-right-type', true, null, [], {}, [1, 'two'], { nested: true }];
+
+/**
+ * FNV-1a hash, used to derive a per-tool seed from the run seed
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function deeplyNested(depth) {
+  let value = { leaf: true };
+  for (let i = 0; i < depth; i++) {
+    value = { nested: value };
+  }
+  return value;
+}
+
+/**
+ * Random schema-valid arguments
+ */
+function generateValidArguments(schema, rng) {
+  return generateArguments(schema, { rng });
+}
+
+/**
+ * Random arguments that try to break one rule of the schema
+ * @returns {{args: Object, mutation: string}}
+ */
+function generateInvalidArguments(schema, rng) {
+  const args = generateArguments(schema, { rng });
+  const properties = Object.entries(schema?.properties || {});
+  const required = (schema?.required || []).filter(name => name in args);
+
+  const strategies = ['wrong-type', 'hostile-string', 'extreme-number', 'extra-property', 'deep-nesting'];
+  if (required.length > 0) strategies.push('drop-required');
+  if (properties.some(([, prop]) => Array.isArray(prop.enum))) strategies.push('bad-enum');
+  if (properties.some(([, prop]) => prop.minimum !== undefined || prop.maximum !== undefined ||
+    prop.minLength !== undefined || prop.maxLength !== undefined)) {
+    strategies.push('out-of-range');
+  }
+
+  const strategy = pick(rng, strategies);
+  const target = properties.length > 0 ? pick(rng, properties) : ['input', {}];
+  const [name, prop] = target;
+
+  switch (strategy) {
+    case 'drop-required': {
+      const dropped = pick(rng, required);
+      delete args[dropped];
+      return { args, mutation: `drop required "${dropped}"` };
+    }
+
+    case 'wrong-type': {
+      const declared = [].concat(prop.type || []);
+      const candidates = WRONG_TYPE_VALUES.filter(value =>
+        !declared.some(type => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer'))
+      );
+      args[name] = pick(rng, candidates);
+      return { args, mutation: `wrong type for "${name}"` };
+    }
+
+    case 'bad-enum': {
+      const [enumName] = pick(rng, properties.filter(([, p]) => Array.isArray(p.enum)));
+      args[enumName] = '__not_in_enum__';
+      return { args, mutation: `value outside enum for "${enumName}"` };
+    }
+
+    case 'out-of-range': {
+      const [rangeName, rangeProp] = pick(rng, properties.filter(([, p]) =>
+        p.minimum !== undefined || p.maximum !== undefined || p.minLength !== undefined || p.maxLength !== undefined
+      ));
+      if (rangeProp.maximum !== undefined) {
+        args[rangeName] = rangeProp.maximum + 1;
+      } else if (rangeProp.minimum !== undefined) {
+        args[rangeName] = rangeProp.minimum - 1;
+      } else if (rangeProp.maxLength !== undefined) {
+        args[rangeName] = 'x'.repeat(rangeProp.maxLength + 1);
+      } else {
+        args[rangeName] = '';
+      }
+      return { args, mutation: `out of range for "${rangeName}"` };
+    }
+
+    case 'hostile-string':
+      args[name] = pick(rng, HOSTILE_STRINGS);
+      return { args, mutation: `hostile string for "${name}"` };
+
+    case 'extreme-number':
+      args[name] = pick(rng, EXTREME_NUMBERS);
+      return { args, mutation: `extreme number for "${name}"` };
+
+    case 'deep-nesting':
+      args[name] = deeplyNested(200);
+      return { args, mutation: `deeply nested object for "${name}"` };
+
+    default:
+      args.__unexpected_property__ = generateValue({ type: 'string' }, { rng });
+      return { args, mutation: 'unexpected extra property' };
+  }
+}
+
+/**
+ * One-step simplifications of a value, simplest first
+ */
+function shrinkCandidates(value) {
+  const candidates = [];
+
+  if (Array.isArray(value)) {
+    if (value.length > 0) candidates.push([]);
+    if (value.length > 1) {
+      candidates.push(value.slice(0, Math.floor(value.length / 2)));
+      candidates.push(value.slice(Math.floor(value.length / 2)));
+    }
+    value.forEach((item, i) => {
+      candidates.push([...value.slice(0, i), ...value.slice(i + 1)]);
+      for (const smaller of shrinkCandidates(item)) {
+        candidates.push([...value.slice(0, i), smaller, ...value.slice(i + 1)]);
+      }
+    });
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      const { [key]: removed, ...rest } = value;
+      candidates.push(rest);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      for (const smaller of shrinkCandidates(item)) {
+        candidates.push({ ...value, [key]: smaller });
+      }
+    }
+  } else if (typeof value === 'string') {
+    const chars = Array.from(value);
+    if (chars.length > 0) candidates.push('');
+    if (chars.length > 1) {
+      candidates.push(chars.slice(0, Math.ceil(chars.length / 2)).join(''));
+      candidates.push(chars.slice(Math.ceil(chars.length / 2)).join(''));
+      candidates.push(chars.slice(1).join(''));
+      candidates.push(chars.slice(0, -1).join(''));
+    }
+  } else if (typeof value === 'number') {
+    if (value !== 0) candidates.push(0);
+    if (!Number.isInteger(value)) candidates.push(Math.trunc(value));
+    if (Math.abs(value) > 1) candidates.push(Math.trunc(value / 2));
+  } else if (value === true) {
+    candidates.push(false);
+  }
+
+  return candidates;
+}
+
+/**
+ * Greedily shrink a failing input while it keeps reproducing the failure
+ * @param {Object} args - Failing arguments
+ * @param {Function} reproduces - async (candidate) => boolean
+ * @param {number} maxAttempts - Upper bound on reproduction attempts
+ * @returns {Promise<{args: Object, steps: number, attempts: number}>}
+ */
+async function shrinkInput(args, reproduces, maxAttempts = 50) {
+  let current = args;
+  let steps = 0;
+  let attempts = 0;
+  let improved = true;
+
+  while (improved && attempts < maxAttempts) {
+    improved = false;
+    for (const candidate of shrinkCandidates(current)) {
+      if (attempts >= maxAttempts) break;
+      attempts++;
+      if (await reproduces(candidate)) {
+        current = candidate;
+        steps++;
+        improved = true;
+        break;
+      }
+    }
+  }
+
+  return { args: current, steps, attempts };
+}
+
+module.exports = {
+  createRng,
+  hashString,
+  generateValidArguments,
+  generateInvalidArguments,
+  shrinkCandidates,
+  shrinkInput
+};
@@ -0,0 +1,227 @@
+/**
+ * HTML reporter
+ *
+ * Renders the generateReport() object as one static HTML file. Styles and
+ * charts (inline SVG) are embedded and nothing is fetched, so the file can
+ * be archived as a CI artifact and opened offline.
+ */
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 24px; color: #1f2328; background: #f6f8fa; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 0; font-size: 18px; }
+  h3 { font-size: 15px; margin: 20px 0 8px; }
+  .meta { color: #59636e; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 20px 0; }
+  .card { background: #fff; border: 1px solid #d1d9e0; border-radius: 6px; padding: 12px 16px; min-width: 120px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .card .label { color: #59636e; font-size: 12px; }
+  section { background: #fff; border: 1px solid #d1d9e0; border-radius: 6px; padding: 16px; margin-bottom: 20px; }
+  .suite-header { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { background: #f6f8fa; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; }
+  .passed { background: #dafbe1; color: #116329; }
+  .failed { background: #ffebe9; color: #a40e26; }
+  .skipped { background: #fff8c5; color: #7d4e00; }
+  .num { text-align: right; white-space: nowrap; }
+  pre { background: #f6f8fa; padding: 8px; border-radius: 4px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; font-size: 12px; margin: 6px 0 0; }
+  details summary { cursor: pointer; color: #0969da; }
+  .preview { color: #59636e; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .error { color: #a40e26; }
+  .recommendations li { margin-bottom: 6px; }
+  .chart { margin-top: 8px; }
+  .chart text { font-size: 11px; fill: #59636e; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function json(value) {
+  return escapeHtml(JSON.stringify(value, null, 2));
+}
+
+function statusOf(test) {
+  if (test.status === 'failed') return 'failed';
+  return test.result?.skipped ? 'skipped' : 'passed';
+}
+
+function badge(status, label = status) {
+  return `<span class="badge ${status}">${escapeHtml(label)}</span>`;
+}
+
+const SEVERITY_CLASSES = { error: 'failed', warning: 'skipped', info: 'passed' };
+
+function card(value, label) {
+  return `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`;
+}
+
+/**
+ * Horizontal bar chart of test durations
+ */
+function durationChart(tests) {
+  const timed = tests.filter(t => typeof t.duration === 'number');
+  if (timed.length === 0) return '';
+
+  const max = Math.max(...timed.map(t => t.duration), 1);
+  const rowHeight = 18;
+  const labelWidth = 260;
+  const barWidth = 420;
+  const rows = timed.map((test, i) => {
+    const y = i * rowHeight;
+    const width = Math.max(1, Math.round((test.duration / max) * barWidth));
+    const color = test.status === 'failed' ? '#cf222e' : '#2da44e';
+    const label = test.name.length > 40 ? test.name.slice(0, 39) + '…' : test.name;
+    return `<text x="${labelWidth - 6}" y="${y + 13}" text-anchor="end">${escapeHtml(label)}</text>` +
+      `<rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 6}" fill="${color}" rx="2"/>` +
+      `<text x="${labelWidth + width + 4}" y="${y + 13}">${test.duration}ms</text>`;
+  });
+
+  const height = timed.length * rowHeight;
+  return `<svg class="chart" width="${labelWidth + barWidth + 70}" height="${height}" role="img" aria-label="Test durations">${rows.join('')}</svg>`;
+}
+
+/**
+ * Column chart of per-request latencies recorded by a test (result.samples)
+ */
+function samplesChart(test) {
+  const samples = test.result.samples;
+  const max = Math.max(...samples, 1);
+  const height = 100;
+  const step = Math.max(4, Math.floor(480 / samples.length));
+  const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const avgY = 10 + height - Math.round((avg / max) * height);
+
+  const bars = samples.map((value, i) => {
+    const barHeight = Math.max(1, Math.round((value / max) * height));
+    return `<rect x="${40 + i * step}" y="${10 + height - barHeight}" width="${step - 1}" height="${barHeight}" fill="#0969da"><title>#${i + 1}: ${value}ms</title></rect>`;
+  });
+  const width = 40 + samples.length * step + 80;
+
+  return `<h3>${escapeHtml(test.name)}: latency per request</h3>` +
+    `<svg class="chart" width="${width}" height="${height + 30}" role="img" aria-label="${escapeHtml(test.name)} latency">` +
+    `<text x="34" y="16" text-anchor="end">${max}ms</text><text x="34" y="${height + 10}" text-anchor="end">0</text>` +
+    `<line x1="38" y1="${height + 10}" x2="${width - 80}" y2="${height + 10}" stroke="#d1d9e0"/>` +
+    bars.join('') +
+    `<line x1="38" y1="${avgY}" x2="${width - 80}" y2="${avgY}" stroke="#bf8700" stroke-dasharray="4 3"/>` +
+    `<text x="${width - 76}" y="${avgY + 4}">avg ${Math.round(avg)}ms</text>` +
+    `<text x="40" y="${height + 25}">request #1 … #${samples.length}</text>` +
+    '</svg>';
+}
+
+function trafficDetails(traffic) {
+  if (!Array.isArray(traffic) || traffic.length === 0) return '';
+  const lines = traffic.map(entry =>
+    `${entry.timestamp} ${entry.direction === 'sent' ? '→' : '←'} ${JSON.stringify(entry.message)}`
+  );
+  return `<details><summary>Traffic (${traffic.length} messages)</summary><pre>${escapeHtml(lines.join('\n'))}</pre></details>`;
+}
+
+function logDetails(title, logs) {
+  if (!Array.isArray(logs) || logs.length === 0) return '';
+  const lines = logs.map(entry =>
+    `${entry.timestamp}${entry.stream ? ` ${entry.stream}` : ''}${entry.level ? ` ${entry.level}` : ''}${entry.test ? ` [${entry.test}]` : ''} ${entry.line}`
+  );
+  return `<details><summary>${title} (${logs.length} lines)</summary><pre>${escapeHtml(lines.join('\n'))}</pre></details>`;
+}
+
+function testRow(test) {
+  const status = statusOf(test);
+  const preview = test.result?.resultPreview || test.result?.preview;
+  let details;
+
+  if (test.status === 'failed') {
+    details = `<div class="error">${escapeHtml(test.error)}</div>` +
+      (test.errorCode !== undefined ? `<div>Error code: <code>${escapeHtml(test.errorCode)}</code></div>` : '') +
+      (test.errorDetails ? `<details><summary>Error details</summary><pre>${json(test.errorDetails)}</pre></details>` : '') +
+      trafficDetails(test.traffic);
+  } else if (test.result?.skipped) {
+    details = escapeHtml(test.result.reason || '');
+  } else {
+    details = (preview ? `<div class="preview">${escapeHtml(preview)}</div>` : '') +
+      (test.result !== undefined ? `<details><summary>Result</summary><pre>${json(test.result)}</pre></details>` : '');
+  }
+
+  return `<tr><td>${badge(status)}</td><td>${escapeHtml(test.name)}</td>` +
+    `<td class="num">${test.duration ?? ''}${test.duration !== undefined ? 'ms' : ''}</td><td>${details}</td></tr>`;
+}
+
+function suiteSection(result) {
+  const tests = result.tests || [];
+  const charts = tests
+    .filter(t => Array.isArray(t.result?.samples) && t.result.samples.length > 0)
+    .map(samplesChart)
+    .join('');
+
+  return '<section>' +
+    `<div class="suite-header">${badge(result.status || 'failed')}<h2>${escapeHtml(result.name)}</h2>` +
+    `<span class="meta">${escapeHtml(result.transport)} · ${result.duration ?? 0}ms · ${escapeHtml(result.startTime)}</span></div>` +
+    `<details><summary>Configuration</summary><pre>${json(result.config)}</pre></details>` +
+    (result.error
+      ? `<p class="error">Suite failed: ${escapeHtml(result.error.message)}${result.error.code ? ` (<code>${escapeHtml(result.error.code)}</code>)` : ''}</p>` +
+        (result.error.details ? `<details><summary>Error details</summary><pre>${json(result.error.details)}</pre></details>` : '') +
+        trafficDetails(result.error.traffic)
+      : '') +
+    (tests.length > 0
+      ? '<h3>Tests</h3><table><thead><tr><th>Status</th><th>Test</th><th class="num">Duration</th><th>Details</th></tr></thead>' +
+        `<tbody>${tests.map(testRow).join('')}</tbody></table>` +
+        `<h3>Durations</h3>${durationChart(tests)}`
+      : '<p class="meta">No tests ran.</p>') +
+    charts +
+    logDetails('Server stderr', result.stderr) +
+    logDetails('Server logs', result.serverLogs) +
+    logDetails('MCP log messages', result.logMessages) +
+    '</section>';
+}
+
+/**
+ * Render a framework report as a self-contained HTML page
+ * @param {Object} report - Report from generateReport()
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+  const summary = report.summary || {};
+  const transports = Object.entries(summary.byTransport || {});
+  const recommendations = report.recommendations || [];
+
+  const transportTable = transports.length > 0
+    ? '<section><h2>By Transport</h2><table><thead><tr><th>Transport</th><th class="num">Suites</th><th class="num">Passed</th><th class="num">Failed</th></tr></thead><tbody>' +
+      transports.map(([name, stats]) =>
+        `<tr><td>${escapeHtml(name)}</td><td class="num">${stats.total}</td><td class="num">${stats.passed}</td><td class="num">${stats.failed}</td></tr>`
+      ).join('') +
+      '</tbody></table></section>'
+    : '';
+
+  const recommendationList = recommendations.length > 0
+    ? '<section><h2>Recommendations</h2><ul class="recommendations">' +
+      recommendations.map(rec =>
+        `<li>${badge(SEVERITY_CLASSES[rec.severity] || 'passed', rec.severity || 'info')} ` +
+        `${escapeHtml(rec.message)}${rec.suggestion ? `<div class="meta">→ ${escapeHtml(rec.suggestion)}</div>` : ''}</li>`
+      ).join('') +
+      '</ul></section>'
+    : '';
+
+  return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    `<title>MCP Test Report ${escapeHtml(report.timestamp)}</title>\n<style>${STYLES}</style>\n</head>\n<body>\n` +
+    `<h1>MCP Test Report</h1>\n<div class="meta">${escapeHtml(report.timestamp)} · ${Math.round((report.duration || 0) / 1000)}s · framework ${escapeHtml(report.version)}</div>\n` +
+    '<div class="cards">' +
+    card(`${summary.passed ?? 0}/${summary.total ?? 0}`, 'Suites passed') +
+    card(summary.passedTests ?? 0, 'Tests passed') +
+    card(summary.failedTests ?? 0, 'Tests failed') +
+    card(report.metrics?.connectionAttempts ?? 0, 'Connection attempts') +
+    '</div>\n' +
+    transportTable + '\n' +
+    recommendationList + '\n' +
+    (report.results || []).map(suiteSection).join('\n') +
+    '\n</body>\n</html>\n';
+}
+
+module.exports = { renderHtml };
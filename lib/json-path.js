@@ -0,0 +1,163 @@
+/**
+ * Minimal JSONPath evaluator used by declarative assertions
+ *
+ * Supports the subset needed to address values in MCP responses:
+ *   $                 root
+ *   .name / ['name']  child member
+ *   [0] / [-1]        array index (negative counts from the end)
+ *   .* / [*]          all children
+ *   ..name / ..*      recursive descent
+ */
+
+/**
+ * Split a JSONPath expression into segments
+ * @param {string} expression - e.g. "$.content[0].text"
+ * @returns {Array<{type: string, key?: string|number}>}
+ */
+function parseJsonPath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${expression}": must start with "$"`);
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (char === '.') {
+      const recursive = expression[i + 1] === '.';
+      i += recursive ? 2 : 1;
+
+      if (expression[i] === '[') {
+        // "..[0]" style, let the bracket branch read the key
+        if (recursive) segments.push({ type: 'descend' });
+        continue;
+      }
+
+      const match = expression.slice(i).match(/^(\*|[A-Za-z0-9_$-]+)/);
+      if (!match) {
+        throw new Error(`Invalid JSONPath "${expression}": expected a name at position ${i}`);
+      }
+      if (recursive) segments.push({ type: 'descend' });
+      segments.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'member', key: match[1] });
+      i += match[1].length;
+    } else if (char === '[') {
+      const close = findClosingBracket(expression, i);
+      const inner = expression.slice(i + 1, close).trim();
+
+      if (inner === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ type: 'index', key: parseInt(inner, 10) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push({ type: 'member', key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Invalid JSONPath "${expression}": unsupported selector [${inner}]`);
+      }
+      i = close + 1;
+    } else {
+      throw new Error(`Invalid JSONPath "${expression}": unexpected "${char}" at position ${i}`);
+    }
+  }
+
+  return segments;
+}
+
+function findClosingBracket(expression, start) {
+  let quote = null;
+  for (let i = start + 1; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ']') {
+      return i;
+    }
+  }
+  throw new Error(`Invalid JSONPath "${expression}": unclosed "["`);
+}
+
+// Locations are { parent, key, value }; the root has no parent
+function childrenOf(location) {
+  const { value } = location;
+  if (Array.isArray(value)) return value.map((item, key) => ({ parent: value, key, value: item }));
+  if (value && typeof value === 'object') return Object.keys(value).map(key => ({ parent: value, key, value: value[key] }));
+  return [];
+}
+
+function descendantsOf(location) {
+  const all = [location];
+  for (const child of childrenOf(location)) {
+    all.push(...descendantsOf(child));
+  }
+  return all;
+}
+
+function locate(data, expression) {
+  let current = [{ parent: null, key: null, value: data }];
+
+  for (const segment of parseJsonPath(expression)) {
+    const next = [];
+
+    for (const location of current) {
+      const { value } = location;
+      switch (segment.type) {
+        case 'descend':
+          next.push(...descendantsOf(location));
+          break;
+        case 'wildcard':
+          next.push(...childrenOf(location));
+          break;
+        case 'index':
+          if (Array.isArray(value)) {
+            const index = segment.key < 0 ? value.length + segment.key : segment.key;
+            if (index >= 0 && index < value.length) next.push({ parent: value, key: index, value: value[index] });
+          }
+          break;
+        case 'member':
+          if (value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment.key)) {
+            next.push({ parent: value, key: segment.key, value: value[segment.key] });
+          }
+          break;
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Evaluate a JSONPath expression against a value
+ * @param {*} data - The document to query
+ * @param {string} expression - JSONPath expression
+ * @returns {Array} All matched values (empty when nothing matches)
+ */
+function queryJsonPath(data, expression) {
+  return locate(data, expression).map(location => location.value);
+}
+
+/**
+ * Replace every value the expression matches, in place
+ * @param {*} data - The document to modify
+ * @param {string} expression - JSONPath expression
+ * @param {*} replacement - New value, or a function (oldValue) => newValue
+ * @returns {*} The document (a new value when the root itself matched)
+ */
+function replaceJsonPath(data, expression, replacement) {
+  let root = data;
+  for (const { parent, key, value } of locate(data, expression)) {
+    const newValue = typeof replacement === 'function' ? replacement(value) : replacement;
+    if (parent === null) {
+      root = newValue;
+    } else {
+      parent[key] = newValue;
+    }
+  }
+  return root;
+}
+
+module.exports = { parseJsonPath, queryJsonPath, replaceJsonPath };
@@ -0,0 +1,466 @@
+/**
+ * JSON Schema validator for tool input and output schemas
+ *
+ * Covers the draft-07 and 2020-12 keywords MCP servers use in practice:
+ * type, enum, const, numeric and string limits, pattern, format, object and
+ * array keywords (including prefixItems and tuple-form items), the
+ * allOf/anyOf/oneOf/not/if-then-else combinators, and local $ref/$defs.
+ * Unknown keywords and formats are ignored, as the specification requires.
+ *
+ * Every violation carries a JSON pointer to the offending value.
+ */
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  hostname: /^(?=.{1,253}$)([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/,
+  ipv4: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+  ipv6: /^(([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}|(([0-9a-fA-F]{1,4}:){0,7}[0-9a-fA-F]{0,4})?::(([0-9a-fA-F]{1,4}:){0,7}[0-9a-fA-F]{0,4})?)$/,
+  uri: /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/,
+  'uri-reference': /^[^\s]*$/,
+  uuid: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/
+};
+
+/**
+ * Structural deep equality for JSON values
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * JSON type name of a value, distinguishing integer, array and null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function describe(value) {
+  const json = JSON.stringify(value);
+  if (json === undefined) return String(value);
+  return json.length > 60 ? json.substring(0, 60) + '...' : json;
+}
+
+/**
+ * Compile a schema pattern. The specification asks for ECMA-262 with the `u`
+ * flag, but servers often write patterns such as `^[\w\_]+$` whose
+ * needless escapes only parse without it, so those are accepted too.
+ * @param {string} pattern - The pattern source
+ * @returns {RegExp|null} null when the pattern parses neither way
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    try {
+      return new RegExp(pattern);
+    } catch (fallbackError) {
+      return null;
+    }
+  }
+}
+
+function isFormatValid(format, value) {
+  if (format === 'regex') {
+    return compilePattern(value) !== null;
+  }
+  if ((format === 'date-time' || format === 'date') && FORMATS[format].test(value)) {
+    return !Number.isNaN(Date.parse(format === 'date' ? `${value}T00:00:00Z` : value));
+  }
+  return FORMATS[format] ? FORMATS[format].test(value) : true;
+}
+
+class SchemaValidator {
+  constructor(rootSchema) {
+    this.root = rootSchema;
+    this.anchors = new Map();
+    this.indexAnchors(rootSchema);
+    // $ref chains currently being expanded, to stop on `{ "$ref": "#" }` loops
+    this.activeRefs = new Set();
+  }
+
+  /**
+   * Record $id/$anchor names so "#name" style references resolve
+   */
+  indexAnchors(schema) {
+    if (!schema || typeof schema !== 'object') return;
+    if (typeof schema.$anchor === 'string') {
+      this.anchors.set(`#${schema.$anchor}`, schema);
+    }
+    if (typeof schema.$id === 'string') {
+      this.anchors.set(schema.$id, schema);
+    }
+    for (const value of Object.values(schema)) {
+      if (value && typeof value === 'object') {
+        if (Array.isArray(value)) {
+          value.forEach(item => this.indexAnchors(item));
+        } else {
+          this.indexAnchors(value);
+        }
+      }
+    }
+  }
+
+  resolveRef(ref) {
+    if (this.anchors.has(ref)) return this.anchors.get(ref);
+    if (ref === '#') return this.root;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref "${ref}": only local references are resolved`);
+    }
+
+    let target = this.root;
+    for (const segment of ref.slice(2).split('/').map(unescapePointer)) {
+      if (target === null || typeof target !== 'object' || !(segment in target)) {
+        throw new Error(`Unresolvable $ref "${ref}"`);
+      }
+      target = target[segment];
+    }
+    return target;
+  }
+
+  /**
+   * Validate a value against a (sub)schema
+   * @returns {Array<{path: string, keyword: string, message: string, schema: Object}>}
+   */
+  validate(value, schema, path = '') {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) {
+      return [{ path, keyword: 'false', message: 'No value is allowed here', schema }];
+    }
+
+    const errors = [];
+    const fail = (keyword, message, extra = {}) => {
+      errors.push({ path, keyword, message, schema, ...extra });
+    };
+
+    if (typeof schema.$ref === 'string') {
+      const key = `${schema.$ref}@${path}`;
+      if (!this.activeRefs.has(key)) {
+        this.activeRefs.add(key);
+        try {
+          errors.push(...this.validate(value, this.resolveRef(schema.$ref), path));
+        } finally {
+          this.activeRefs.delete(key);
+        }
+      }
+    }
+
+    // Type check first; the remaining keywords only apply to matching types
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`, { expected: types });
+        return errors;
+      }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(option, value))) {
+      fail('enum', `Invalid value ${describe(value)}, expected one of ${schema.enum.map(describe).join(', ')}`);
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+      fail('const', `Expected ${describe(schema.const)}, got ${describe(value)}`);
+    }
+
+    if (typeof value === 'number') {
+      this.validateNumber(value, schema, fail);
+    } else if (typeof value === 'string') {
+      this.validateString(value, schema, fail);
+    } else if (Array.isArray(value)) {
+      errors.push(...this.validateArray(value, schema, path, fail));
+    } else if (value !== null && typeof value === 'object') {
+      errors.push(...this.validateObject(value, schema, path, fail));
+    }
+
+    errors.push(...this.validateCombinators(value, schema, path, fail));
+
+    return errors;
+  }
+
+  validateNumber(value, schema, fail) {
+    // Draft-04 style boolean exclusive flags are still common in the wild
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+        fail('minimum', `Must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}, got ${value}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+        fail('maximum', `Must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}, got ${value}`);
+      }
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail('multipleOf', `Must be a multiple of ${schema.multipleOf}, got ${value}`);
+      }
+    }
+  }
+
+  validateString(value, schema, fail) {
+    // Length is measured in code points, not UTF-16 units
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `Must be at least ${schema.minLength} characters, got ${length}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `Must be at most ${schema.maxLength} characters, got ${length}`);
+    }
+    if (schema.pattern !== undefined) {
+      const regex = compilePattern(schema.pattern);
+      if (!regex) {
+        fail('pattern', `Pattern ${schema.pattern} is not a valid regular expression`);
+      } else if (!regex.test(value)) {
+        fail('pattern', `Must match pattern ${schema.pattern}`);
+      }
+    }
+    if (schema.format !== undefined && !isFormatValid(schema.format, value)) {
+      fail('format', `Must be a valid ${schema.format}, got ${describe(value)}`);
+    }
+  }
+
+  validateArray(value, schema, path, fail) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `Must have at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `Must have at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.uniqueItems === true) {
+      for (let i = 0; i < value.length; i++) {
+        const duplicate = value.findIndex((item, j) => j > i && deepEqual(item, value[i]));
+        if (duplicate !== -1) {
+          fail('uniqueItems', `Items ${i} and ${duplicate} are identical`);
+          break;
+        }
+      }
+    }
+
+    // prefixItems (2020-12) or tuple-form items (draft-07) validate by position
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems
+      : Array.isArray(schema.items) ? schema.items : null;
+    const rest = Array.isArray(schema.prefixItems) ? schema.items
+      : Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+
+    value.forEach((item, i) => {
+      const itemSchema = tuple && i < tuple.length ? tuple[i] : rest;
+      errors.push(...this.validate(item, itemSchema, `${path}/${i}`));
+    });
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter(item => this.validate(item, schema.contains, path).length === 0).length;
+      const min = schema.minContains !== undefined ? schema.minContains : 1;
+      if (matches < min) {
+        fail('contains', `Must contain at least ${min} matching item(s), found ${matches}`);
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        fail('maxContains', `Must contain at most ${schema.maxContains} matching item(s), found ${matches}`);
+      }
+    }
+
+    return errors;
+  }
+
+  validateObject(value, schema, path, fail) {
+    const errors = [];
+    const keys = Object.keys(value);
+
+    if (Array.isArray(schema.required)) {
+      for (const field of schema.required) {
+        if (!Object.prototype.hasOwnProperty.call(value, field)) {
+          errors.push({
+            path: `${path}/${escapePointer(field)}`,
+            keyword: 'required',
+            message: 'Missing required field',
+            field,
+            schema
+          });
+        }
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `Must have at least ${schema.minProperties} properties, got ${keys.length}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `Must have at most ${schema.maxProperties} properties, got ${keys.length}`);
+    }
+
+    const dependentRequired = { ...schema.dependentRequired };
+    const dependentSchemas = { ...schema.dependentSchemas };
+    // Draft-07 "dependencies" mixes both forms
+    for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+      if (Array.isArray(dependency)) {
+        dependentRequired[key] = dependency;
+      } else {
+        dependentSchemas[key] = dependency;
+      }
+    }
+    for (const [key, fields] of Object.entries(dependentRequired)) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        for (const field of fields.filter(field => !Object.prototype.hasOwnProperty.call(value, field))) {
+          fail('dependentRequired', `"${field}" is required when "${key}" is present`, { field });
+        }
+      }
+    }
+    for (const [key, dependentSchema] of Object.entries(dependentSchemas)) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(...this.validate(value, dependentSchema, path));
+      }
+    }
+
+    const patterns = [];
+    for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+      const regex = compilePattern(pattern);
+      if (regex) {
+        patterns.push([regex, patternSchema]);
+      } else {
+        fail('patternProperties', `Pattern ${pattern} is not a valid regular expression`);
+      }
+    }
+
+    for (const key of keys) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      let evaluated = false;
+
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        evaluated = true;
+        errors.push(...this.validate(value[key], schema.properties[key], childPath));
+      }
+      for (const [regex, patternSchema] of patterns) {
+        if (regex.test(key)) {
+          evaluated = true;
+          errors.push(...this.validate(value[key], patternSchema, childPath));
+        }
+      }
+
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({
+            path: childPath,
+            keyword: 'additionalProperties',
+            message: 'Unexpected property',
+            field: key,
+            schema
+          });
+        } else {
+          errors.push(...this.validate(value[key], schema.additionalProperties, childPath));
+        }
+      }
+
+      if (schema.propertyNames !== undefined) {
+        const nameErrors = this.validate(key, schema.propertyNames, childPath);
+        if (nameErrors.length > 0) {
+          fail('propertyNames', `Invalid property name "${key}": ${nameErrors[0].message}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  validateCombinators(value, schema, path, fail) {
+    const errors = [];
+
+    if (Array.isArray(schema.allOf)) {
+      for (const subschema of schema.allOf) {
+        errors.push(...this.validate(value, subschema, path));
+      }
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+      const results = schema.anyOf.map(subschema => this.validate(value, subschema, path));
+      if (!results.some(result => result.length === 0)) {
+        fail('anyOf', `Does not match any of the ${schema.anyOf.length} allowed schemas (anyOf)`, {
+          closest: closestBranch(results)
+        });
+      }
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+      const results = schema.oneOf.map(subschema => this.validate(value, subschema, path));
+      const matching = results.filter(result => result.length === 0).length;
+      if (matching === 0) {
+        fail('oneOf', `Does not match any of the ${schema.oneOf.length} allowed schemas (oneOf)`, {
+          closest: closestBranch(results)
+        });
+      } else if (matching > 1) {
+        fail('oneOf', `Matches ${matching} schemas but oneOf allows exactly one`);
+      }
+    }
+
+    if (schema.not !== undefined && this.validate(value, schema.not, path).length === 0) {
+      fail('not', 'Must not match the schema in "not"');
+    }
+
+    if (schema.if !== undefined) {
+      const branch = this.validate(value, schema.if, path).length === 0 ? schema.then : schema.else;
+      errors.push(...this.validate(value, branch, path));
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Errors of the combinator branch that came closest to matching
+ */
+function closestBranch(results) {
+  return results.reduce((best, result) => (result.length < best.length ? result : best))
+    .map(({ path, keyword, message }) => ({ path, keyword, message }));
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {*} data - Value to validate
+ * @param {Object|boolean} schema - draft-07 or 2020-12 schema
+ * @param {Object|boolean} root - Schema its $refs resolve against, when
+ *   `schema` is a subschema
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string, schema: Object}>}}
+ */
+function validateSchema(data, schema, root = schema) {
+  const errors = new SchemaValidator(root).validate(data, schema, '');
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  validateSchema,
+  compilePattern,
+  deepEqual,
+  typeOf
+};
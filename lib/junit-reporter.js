@@ -0,0 +1,121 @@
+/**
+ * JUnit XML reporter
+ *
+ * Each testServer() result becomes a <testsuite> and each entry in its
+ * `tests` a <testcase>, in the layout Jenkins and GitLab expect.
+ */
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function failureBody(test) {
+  const lines = [test.error];
+  if (test.errorCode) {
+    lines.push(`errorCode: ${test.errorCode}`);
+  }
+  if (test.errorDetails) {
+    lines.push(`errorDetails: ${JSON.stringify(test.errorDetails, null, 2)}`);
+  }
+  return lines.join('\n');
+}
+
+// Messages exchanged during a failing test, one per line
+function systemOut(traffic) {
+  if (!Array.isArray(traffic) || traffic.length === 0) return '';
+  const lines = traffic.map(entry =>
+    `${entry.timestamp} ${entry.direction === 'sent' ? '-->' : '<--'} ${JSON.stringify(entry.message)}`
+  );
+  return `      <system-out>${escapeXml(lines.join('\n'))}</system-out>\n`;
+}
+
+// Server stderr (or `serve` process output) and MCP log messages of the
+// whole suite
+function systemErr(logs) {
+  if (!Array.isArray(logs) || logs.length === 0) return '';
+  const lines = logs.map(entry => `${entry.timestamp}${entry.stream ? ` [${entry.stream}]` : ''}${entry.level ? ` [${entry.level}]` : ''} ${entry.line}`);
+  return `    <system-err>${escapeXml(lines.join('\n'))}</system-err>\n`;
+}
+
+function renderTestCase(test, classname) {
+  const open = `    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(classname)}" time="${seconds(test.duration)}"`;
+
+  if (test.status === 'failed') {
+    return `${open}>\n` +
+      `      <failure message="${escapeXml(test.error)}" type="${escapeXml(test.errorCode || 'TEST_FAILED')}">${escapeXml(failureBody(test))}</failure>\n` +
+      systemOut(test.traffic) +
+      '    </testcase>';
+  }
+  if (test.result?.skipped) {
+    return `${open}>\n      <skipped message="${escapeXml(test.result.reason || 'skipped')}"/>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+function renderTestSuite(result) {
+  const tests = result.tests || [];
+  const classname = `mcp.${result.transport || 'unknown'}.${result.name}`;
+  const cases = tests.map(test => renderTestCase(test, classname));
+
+  // A suite that failed outside any test (e.g. could not connect) is reported as an error
+  let errors = 0;
+  if (result.status === 'failed' && result.error) {
+    errors = 1;
+    const body = [result.error.message];
+    if (result.error.code) body.push(`errorCode: ${result.error.code}`);
+    if (result.error.details) body.push(`errorDetails: ${JSON.stringify(result.error.details, null, 2)}`);
+    cases.push(
+      `    <testcase name="Suite setup" classname="${escapeXml(classname)}" time="0.000">\n` +
+      `      <error message="${escapeXml(result.error.message)}" type="${escapeXml(result.error.code || 'SUITE_FAILED')}">${escapeXml(body.join('\n'))}</error>\n` +
+      systemOut(result.error.traffic) +
+      '    </testcase>'
+    );
+  }
+
+  const failures = tests.filter(t => t.status === 'failed').length;
+  const skipped = tests.filter(t => t.status !== 'failed' && t.result?.skipped).length;
+
+  return `  <testsuite name="${escapeXml(`${result.name} (${result.transport})`)}" ` +
+    `tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" ` +
+    `time="${seconds(result.duration)}" timestamp="${escapeXml(result.startTime)}">\n` +
+    '    <properties>\n' +
+    `      <property name="transport" value="${escapeXml(result.transport)}"/>\n` +
+    `      <property name="config" value="${escapeXml(JSON.stringify(result.config))}"/>\n` +
+    '    </properties>\n' +
+    (cases.length > 0 ? cases.join('\n') + '\n' : '') +
+    systemErr([...(result.stderr || result.serverLogs || []), ...(result.logMessages || [])]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))) +
+    '  </testsuite>';
+}
+
+/**
+ * Render a framework report as JUnit XML
+ * @param {Object} report - Report from generateReport()
+ * @returns {string} XML document
+ */
+function renderJUnit(report) {
+  const results = report.results || [];
+  const tests = results.reduce((acc, r) => acc + (r.tests?.length || 0) + (r.status === 'failed' && r.error ? 1 : 0), 0);
+  const failures = report.summary?.failedTests || 0;
+  const errors = results.filter(r => r.status === 'failed' && r.error).length;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="MCP Server Tests" tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(report.duration)}">\n` +
+    results.map(renderTestSuite).join('\n') + (results.length > 0 ? '\n' : '') +
+    '</testsuites>\n';
+}
+
+module.exports = { renderJUnit, escapeXml };
@@ -0,0 +1,91 @@
+/**
+ * Server log capture
+ *
+ * Collects log lines with a timestamp and the suite/test that was running,
+ * so server logs end up in the report instead of interleaved with the
+ * tester's console output. Used for the stderr of stdio servers, the stdout
+ * and stderr of servers started from a `serve` block, and MCP log messages
+ * (notifications/message), each in its own LogCapture.
+ */
+
+// Longest line kept, so one huge stack dump cannot bloat the report
+const MAX_LINE_LENGTH = 2000;
+
+// Untagged lines this long before a test still count as around it
+const LEAD_TIME = 1000;
+
+class LogCapture {
+  /**
+   * @param {Function} context - Returns { suite, test } for new lines
+   */
+  constructor(context = () => ({})) {
+    this.entries = [];
+    this.context = context;
+  }
+
+  /**
+   * Read a child's output stream line by line
+   * @param {Stream} stream - e.g. StdioClientTransport#stderr
+   * @param {Function} onLine - Called with each new entry
+   * @param {Object} fields - Added to every entry, e.g. { stream: 'stdout' }
+   */
+  attach(stream, onLine = () => {}, fields = {}) {
+    let buffer = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        onLine(this.record(line, fields));
+      }
+    });
+    stream.on('end', () => {
+      if (buffer) onLine(this.record(buffer, fields));
+      buffer = '';
+    });
+  }
+
+  record(line, fields = {}) {
+    const { suite = null, test = null } = this.context();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      suite,
+      test,
+      ...fields,
+      line: line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}… (${line.length} chars)` : line
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Entries recorded from index `start`, keeping only the last `limit`
+   */
+  since(start, limit = Infinity) {
+    const entries = this.entries.slice(start);
+    return entries.length > limit ? entries.slice(entries.length - limit) : entries;
+  }
+}
+
+/**
+ * Log lines written while a test ran, or else untagged lines written
+ * shortly before it (async logging between tests)
+ * @param {Object[]} entries - e.g. a suite result's `stderr`
+ * @param {Object} test - Test result with name, startTime and duration
+ * @param {number} count - Lines to return at most
+ */
+function logsAround(entries, test, count = 10) {
+  const during = entries.filter(entry => entry.test === test.name);
+  if (during.length > 0) return during.slice(-count);
+
+  const start = new Date(test.startTime).getTime();
+  const end = start + (test.duration || 0);
+  return entries.filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+    return entry.test === null && time >= start - LEAD_TIME && time <= end;
+  }).slice(-count);
+}
+
+module.exports = { LogCapture, logsAround };
@@ -4,8 +4,44 @@ const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
 const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
 const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const {
+  CallToolResultSchema,
+  ResultSchema,
+  ErrorCode,
+  LoggingLevelSchema,
+  LoggingMessageNotificationSchema,
+  CreateMessageRequestSchema,
+  ElicitRequestSchema,
+  RequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const { UriTemplate } = require('@modelcontextprotocol/sdk/shared/uriTemplate.js');
 const fs = require('fs').promises;
 const path = require('path');
+const { validateSchema, deepEqual } = require('./json-schema-validator.js');
+const { generateArguments } = require('./schema-arg-generator.js');
+const {
+  createRng,
+  hashString,
+  generateValidArguments,
+  generateInvalidArguments,
+  shrinkInput
+} = require('./fuzzer.js');
+const { RawJsonRpcChannel, isResponseTo, stdioEnvironment } = require('./raw-jsonrpc.js');
+const { getReporter } = require('./reporters.js');
+const { TrafficRecorder } = require('./traffic-recorder.js');
+const { SnapshotStore, prepareSnapshot, DEFAULT_REDACTIONS } = require('./snapshots.js');
+const { defaultWatchTarget, watchAndRun } = require('./watch.js');
+const { detectStdoutPollution, POLLUTION_HINT } = require('./stdout-pollution.js');
+const { LogCapture, logsAround } = require('./log-capture.js');
+const { ServedProcess } = require('./server-process.js');
+const { ProgressTracker, checkProgress, PROGRESS_HINT } = require('./progress-check.js');
+const { observeCancellation, CANCELLATION_HINT } = require('./cancellation.js');
+const { SamplingSimulator } = require('./sampling-simulator.js');
+const { ElicitationResponder, compileElicitationScript, ELICITATION_HINT } = require('./elicitation-responder.js');
+
+// The SDK rejects a non-flat requestedSchema before any handler runs; with
+// loose params the responder can check it and record what was wrong
+const LooseElicitRequestSchema = ElicitRequestSchema.extend({ params: RequestSchema.shape.params });
 
 // Custom error classes for better error handling
 class MCPTestError extends Error {
@@ -43,6 +79,20 @@ class MCPTestFrameworkAdvanced {
       retryAttempts: options.retryAttempts || 0,
       retryDelay: options.retryDelay || 1000,
       validateSchemas: options.validateSchemas !== false,
+      // [{ name: 'junit', output: 'results.xml' }]; output defaults to outputDir
+      reporters: options.reporters || [{ name: 'json' }],
+      // Capture every JSON-RPC message; failing tests get the last trafficLimit of theirs
+      recordTraffic: options.recordTraffic !== false,
+      trafficLimit: options.trafficLimit || 50,
+      // Also write all traffic as mcp-trace-<timestamp>.jsonl next to the report
+      trace: options.trace || false,
+      // Keep stdio servers' stderr in the report (last stderrLimit lines per suite)
+      captureStderr: options.captureStderr !== false,
+      stderrLimit: options.stderrLimit || 200,
+      // toolTests with `snapshot: true` compare against files stored here
+      snapshotDir: options.snapshotDir || './__snapshots__',
+      updateSnapshots: options.updateSnapshots || false,
+      snapshotRedactions: options.snapshotRedactions || DEFAULT_REDACTIONS,
       performanceThresholds: options.performanceThresholds || {
         toolCall: 5000, // ms
         discovery: 1000, // ms
@@ -55,6 +105,17 @@ class MCPTestFrameworkAdvanced {
       totalTestsRun: 0,
       totalAssertions: 0,
     };
+    this.traffic = new TrafficRecorder();
+    this.stderr = new LogCapture(() => ({
+      suite: this.traffic.currentSuite,
+      test: this.traffic.currentTest
+    }));
+    // MCP notifications/message, kept the same way as stderr lines
+    this.logMessages = new LogCapture(() => ({
+      suite: this.traffic.currentSuite,
+      test: this.traffic.currentTest
+    }));
+    this.snapshots = new SnapshotStore(this.options.snapshotDir);
   }
 
   log(message, level = 'info') {
@@ -79,46 +140,61 @@ class MCPTestFrameworkAdvanced {
     
     this.log(`Creating ${type} transport`, 'debug');
     
+    let transport;
     switch (type) {
       case 'stdio':
         if (!config.command) {
           throw new MCPTestError('stdio transport requires "command" parameter', 'INVALID_CONFIG');
         }
-        return new StdioClientTransport({
+        transport = new StdioClientTransport({
           command: config.command,
           args: config.args || [],
-          env: config.env
+          // The same environment the raw probes give the server
+          env: stdioEnvironment(config.env),
+          cwd: config.cwd,
+          stderr: this.options.captureStderr ? 'pipe' : 'inherit'
         });
+        if (this.options.captureStderr) {
+          this.stderr.attach(transport.stderr, entry => this.log(`[server stderr] ${entry.line}`, 'debug'));
+        }
+        break;
       
       case 'sse':
         if (!config.url) {
           throw new MCPTestError('SSE transport requires "url" parameter', 'INVALID_CONFIG');
         }
-        return new SSEClientTransport(config.url, {
+        transport = new SSEClientTransport(config.url, {
           requestInit: {
             headers: config.headers || {}
           }
         });
+        break;
       
       case 'streamableHttp':
         if (!config.url) {
           throw new MCPTestError('streamableHttp transport requires "url" parameter', 'INVALID_CONFIG');
         }
-        return new StreamableHTTPClientTransport(config.url, {
+        transport = new StreamableHTTPClientTransport(config.url, {
           requestInit: {
             headers: config.headers || {}
           }
         });
+        break;
       
       default:
         throw new MCPTestError(`Unknown transport type: ${type}`, 'INVALID_TRANSPORT');
     }
+
+    return this.options.recordTraffic ? this.traffic.attach(transport, type) : transport;
   }
 
   /**
    * Connect to server with retry logic
+   * @param {Object} clientOptions - { sampling: SamplingSimulator,
+   *   elicitation: ElicitationResponder } to advertise those capabilities
+   *   and answer the server's requests
    */
-  async connectToServer(transportConfig) {
+  async connectToServer(transportConfig, clientOptions = {}) {
     const transportType = transportConfig.type || 'stdio';
     let lastError = null;
     
@@ -138,15 +214,47 @@ class MCPTestFrameworkAdvanced {
           name: 'mcp-test-framework-advanced',
           version: '2.0.0',
         }, {
-          capabilities: {}
+          capabilities: {
+            ...(clientOptions.sampling ? { sampling: {} } : {}),
+            ...(clientOptions.elicitation ? { elicitation: {} } : {})
+          }
         });
+        if (clientOptions.sampling) {
+          client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+            this.log(`Server requested sampling (${request.params.messages.length} message(s), maxTokens ${request.params.maxTokens})`, 'debug');
+            try {
+              return await clientOptions.sampling.handle(request);
+            } catch (error) {
+              // Scripted rejections are intended; anything else is a gap in the script
+              this.log(`Sampling request answered with an error: ${error.message}`, error.scripted ? 'debug' : 'warning');
+              throw error;
+            }
+          });
+        }
+        if (clientOptions.elicitation) {
+          client.setRequestHandler(LooseElicitRequestSchema, async (request) => {
+            this.log(`Server requested elicitation: ${request.params?.message}`, 'debug');
+            try {
+              return await clientOptions.elicitation.handle(request);
+            } catch (error) {
+              this.log(`Elicitation request answered with an error: ${error.message}`, 'warning');
+              throw error;
+            }
+          });
+        }
 
         await client.connect(transport);
+        this.cancelOnTestTimeout(client);
+        this.captureLogMessages(client);
         this.log(`Successfully connected via ${transportType}`, 'success');
         
-        // Verify connection by calling a basic method
+        // Verify connection by calling a basic method (ping for servers without tools)
         try {
-          await client.listTools();
+          if (client.getServerCapabilities()?.tools) {
+            await client.listTools();
+          } else {
+            await client.ping();
+          }
         } catch (verifyError) {
           throw new ConnectionError(
             'Connection established but server not responding correctly',
@@ -169,6 +277,55 @@ class MCPTestFrameworkAdvanced {
     );
   }
 
+  /**
+   * Cancel requests still in flight when the running test times out; the
+   * SDK then sends notifications/cancelled and the server can stop the work.
+   * Each request gets its own AbortController, linked to the test's signal
+   * (and the caller's) only until it settles: the SDK never removes its
+   * abort listener, so sharing the test's signal would pile listeners up
+   * and cancel requests that already finished.
+   */
+  cancelOnTestTimeout(client) {
+    const request = client.request.bind(client);
+    client.request = (req, resultSchema, options = {}) => {
+      const testSignal = this.currentTestSignal;
+      if (!testSignal) {
+        return request(req, resultSchema, options);
+      }
+
+      const controller = new AbortController();
+      const sources = [testSignal, options.signal].filter(Boolean);
+      const abort = event => controller.abort(event.target.reason);
+      const aborted = sources.find(source => source.aborted);
+      if (aborted) {
+        controller.abort(aborted.reason);
+      } else {
+        sources.forEach(source => source.addEventListener('abort', abort, { once: true }));
+      }
+
+      return request(req, resultSchema, { ...options, signal: controller.signal }).finally(() => {
+        sources.forEach(source => source.removeEventListener('abort', abort));
+      });
+    };
+    return client;
+  }
+
+  /**
+   * Keep the server's notifications/message for the report; a handler the
+   * caller installed as fallback (the REPL's) still receives them
+   */
+  captureLogMessages(client) {
+    client.setNotificationHandler(LoggingMessageNotificationSchema, async (notification) => {
+      const { level, logger, data } = notification.params;
+      const entry = this.logMessages.record(typeof data === 'string' ? data : JSON.stringify(data), {
+        level,
+        ...(logger ? { logger } : {})
+      });
+      this.log(`[server log ${level}] ${entry.line}`, 'debug');
+      await client.fallbackNotificationHandler?.(notification);
+    });
+  }
+
   /**
    * Enhanced test server method with comprehensive test suite
    */
@@ -182,10 +339,42 @@ class MCPTestFrameworkAdvanced {
       metrics: {}
     };
 
-    let client, transport;
+    let client, transport, served, sampling, elicitation;
+    const trafficStart = this.traffic.entries.length;
+    const stderrStart = this.stderr.entries.length;
+    const logMessagesStart = this.logMessages.entries.length;
+    this.traffic.currentSuite = result.name;
     
     try {
-      const connection = await this.connectToServer(transportConfig);
+      if (transportConfig.serve) {
+        served = await this.startServedProcess(transportConfig, result);
+      }
+
+      // Before connecting, so a server that hangs on its own output is
+      // still diagnosed
+      if (transportConfig.type === 'stdio' && tests.testStdoutPollution === true) {
+        await this.runStdoutPollutionCheck(transportConfig, result);
+      }
+
+      // Answer server-initiated sampling requests from the suite's script
+      if (tests.sampling) {
+        sampling = new SamplingSimulator(tests.sampling, () => ({
+          suite: this.traffic.currentSuite,
+          test: this.traffic.currentTest
+        }));
+        this.currentSampling = sampling;
+      }
+      // Play the user for elicitation requests, per suite or per tool test
+      if (tests.elicitation || tests.toolTests?.some(toolTest => toolTest.elicitation)) {
+        elicitation = new ElicitationResponder(tests.elicitation || null, () => ({
+          suite: this.traffic.currentSuite,
+          test: this.traffic.currentTest
+        }));
+        this.currentElicitation = elicitation;
+      }
+      const clientOptions = { sampling, elicitation };
+
+      const connection = await this.connectToServer(transportConfig, clientOptions);
       client = connection.client;
       transport = connection.transport;
       
@@ -194,6 +383,16 @@ class MCPTestFrameworkAdvanced {
         await this.runDiscoveryTests(client, result);
       }
       
+      // Run resource read tests
+      if (tests.testResources) {
+        await this.runResourceTests(client, result, tests.testResources === true ? {} : tests.testResources);
+      }
+      
+      // Run prompt retrieval tests
+      if (tests.testPrompts) {
+        await this.runPromptTests(client, result, tests.testPrompts === true ? {} : tests.testPrompts);
+      }
+      
       // Run stability tests by default
       if (tests.testStability !== false) {
         await this.runStabilityTests(client, result);
@@ -201,7 +400,12 @@ class MCPTestFrameworkAdvanced {
 
       // Run protocol compliance tests
       if (tests.testProtocolCompliance) {
-        await this.runProtocolComplianceTests(client, result);
+        await this.runProtocolComplianceTests(
+          client,
+          result,
+          transportConfig,
+          tests.testProtocolCompliance === true ? {} : tests.testProtocolCompliance
+        );
       }
 
       // Run performance tests
@@ -213,6 +417,21 @@ class MCPTestFrameworkAdvanced {
       if (tests.testErrorHandling) {
         await this.runErrorHandlingTests(client, result);
       }
+
+      // Check logging/setLevel and the log messages sent at each level
+      if (tests.testLogging) {
+        await this.runLoggingTests(client, result, tests.testLogging === true ? {} : tests.testLogging);
+      }
+
+      // Cancel a slow tool call and check the server stops
+      if (tests.testCancellation) {
+        await this.runCancellationTests(client, result, tests.testCancellation === true ? {} : tests.testCancellation);
+      }
+      
+      // Call every tool once with generated arguments
+      if (tests.smokeAllTools) {
+        await this.runToolSmokeTests(client, result, tests.smokeAllTools === true ? {} : tests.smokeAllTools);
+      }
       
       // Run custom tests
       if (tests.customTests) {
@@ -228,6 +447,13 @@ class MCPTestFrameworkAdvanced {
         }
       }
 
+      // Run prompt tests with argument validation
+      if (tests.promptTests) {
+        for (const promptTest of tests.promptTests) {
+          await this.runPromptTest(client, promptTest, result);
+        }
+      }
+
       // Run transport-specific tests
       if (tests.transportTests?.[transportConfig.type]) {
         for (const test of tests.transportTests[transportConfig.type]) {
@@ -235,6 +461,16 @@ class MCPTestFrameworkAdvanced {
         }
       }
       
+      // Fuzz tool inputs last; a crashing server is reconnected in place
+      if (tests.fuzz) {
+        const connection = { client, transport, clientOptions };
+        try {
+          await this.runFuzzTests(connection, transportConfig, result, tests.fuzz === true ? {} : tests.fuzz);
+        } finally {
+          ({ client, transport } = connection);
+        }
+      }
+      
       result.status = 'passed';
     } catch (error) {
       result.status = 'failed';
@@ -243,6 +479,9 @@ class MCPTestFrameworkAdvanced {
         code: error.code,
         details: error.details
       };
+      if (this.options.recordTraffic) {
+        result.error.traffic = this.recentTraffic(trafficStart);
+      }
       this.log(`Test suite failed: ${error.message}`, 'error');
     } finally {
       if (client) {
@@ -253,6 +492,28 @@ class MCPTestFrameworkAdvanced {
         }
       }
       
+      if (served) {
+        await served.stop();
+        result.serve.exitCode = served.exitCode;
+      }
+      if (transportConfig.serve && transportConfig.type !== 'stdio') {
+        result.serverLogs = this.stderr.since(stderrStart, this.options.stderrLimit);
+      } else if (transportConfig.type === 'stdio' && this.options.captureStderr) {
+        result.stderr = this.stderr.since(stderrStart, this.options.stderrLimit);
+      }
+      const logMessages = this.logMessages.since(logMessagesStart, this.options.stderrLimit);
+      if (logMessages.length > 0) {
+        result.logMessages = logMessages;
+      }
+      if (sampling) {
+        result.samplingRequests = sampling.requests;
+        this.currentSampling = null;
+      }
+      if (elicitation) {
+        result.elicitationRequests = elicitation.requests;
+        this.currentElicitation = null;
+      }
+      
       result.endTime = new Date().toISOString();
       result.duration = Date.now() - new Date(result.startTime).getTime();
       result.metrics = this.calculateMetrics(result);
@@ -320,7 +581,7 @@ class MCPTestFrameworkAdvanced {
         // Validate input schema if provided
         if (this.options.validateSchemas && tool.inputSchema) {
           const validationResult = this.validateAgainstSchema(
-            toolTest.arguments,
+            toolTest.arguments || {},
             tool.inputSchema
           );
           if (!validationResult.valid) {
@@ -337,7 +598,8 @@ class MCPTestFrameworkAdvanced {
               'SCHEMA_VALIDATION_FAILED',
               { 
                 errors: validationResult.errors,
-                suggestions: validationResult.suggestions
+                suggestions: validationResult.suggestions,
+                violations: validationResult.violations
               }
             );
           }
@@ -346,13 +608,33 @@ class MCPTestFrameworkAdvanced {
         // Execute tool call with performance tracking
         const startTime = Date.now();
         let callResult;
+        // `progress: true` or { minNotifications, settle }
+        const progressSettings = toolTest.progress === true ? {} : toolTest.progress;
+        const progressTracker = progressSettings && new ProgressTracker(client, progressSettings);
+        const samplingStart = this.currentSampling?.requests.length;
+        // The tool test's own user choice replaces the suite's during the call
+        const elicitation = this.currentElicitation;
+        const elicitationStart = elicitation?.requests.length;
+        if (elicitation && toolTest.elicitation) {
+          elicitation.override = compileElicitationScript(toolTest.elicitation);
+        }
         
         try {
-          callResult = await client.callTool({
-            name: toolTest.toolName,
-            arguments: toolTest.arguments || {}
-          });
+          // Raw request: Client.callTool() would reject outputSchema mismatches
+          // itself, before validateToolOutput() can report them in detail
+          const request = {
+            method: 'tools/call',
+            params: {
+              name: toolTest.toolName,
+              arguments: toolTest.arguments || {}
+            }
+          };
+          callResult = progressTracker
+            ? await progressTracker.request(request, CallToolResultSchema)
+            : await client.request(request, CallToolResultSchema);
         } catch (toolError) {
+          // A rejected requestedSchema usually is why the call failed
+          this.checkElicitationSchemas(toolTest, elicitation?.since(elicitationStart) || []);
           throw new MCPTestError(
             `Tool execution failed: ${toolError.message}`,
             'TOOL_EXECUTION_FAILED',
@@ -362,9 +644,21 @@ class MCPTestFrameworkAdvanced {
               error: toolError.message 
             }
           );
+        } finally {
+          await progressTracker?.stop();
+          if (elicitation) elicitation.override = null;
         }
         
         const callDuration = Date.now() - startTime;
+        // Sampling and elicitation requests the server made while handling the call
+        const samplingRequests = this.currentSampling?.since(samplingStart) || [];
+        const elicitationRequests = elicitation?.since(elicitationStart) || [];
+        this.checkElicitationSchemas(toolTest, elicitationRequests);
+
+        let progress;
+        if (progressTracker) {
+          progress = this.checkToolProgress(toolTest, progressTracker.notifications, progressSettings);
+        }
 
         // Check performance threshold
         if (callDuration > this.options.performanceThresholds.toolCall) {
@@ -383,13 +677,18 @@ class MCPTestFrameworkAdvanced {
           );
         }
 
+        // Validate structuredContent against the declared outputSchema
+        if (this.options.validateSchemas) {
+          this.validateToolOutput(tool, callResult);
+        }
+
         // Run custom assertions
         const assertionResults = [];
         if (toolTest.assertions) {
           for (let i = 0; i < toolTest.assertions.length; i++) {
             this.metrics.totalAssertions++;
             try {
-              await toolTest.assertions[i](callResult);
+              await toolTest.assertions[i](callResult, { duration: callDuration, samplingRequests, elicitationRequests });
               assertionResults.push({ index: i, status: 'passed' });
             } catch (assertError) {
               assertionResults.push({ 
@@ -406,6 +705,12 @@ class MCPTestFrameworkAdvanced {
           }
         }
 
+        // Compare against (or record) the stored snapshot
+        let snapshot;
+        if (toolTest.snapshot) {
+          snapshot = await this.checkToolSnapshot(toolTest, callResult, result);
+        }
+
         return {
           tool: toolTest.toolName,
           arguments: toolTest.arguments,
@@ -416,7 +721,13 @@ class MCPTestFrameworkAdvanced {
           },
           responseSize: JSON.stringify(callResult).length,
           contentTypes: callResult.content.map(c => c.type),
+          hasOutputSchema: !!tool.outputSchema,
+          hasStructuredContent: callResult.structuredContent !== undefined,
           assertionResults,
+          ...(snapshot ? { snapshot } : {}),
+          ...(progress ? { progress } : {}),
+          ...(this.currentSampling ? { samplingRequests: samplingRequests.length } : {}),
+          ...(elicitation ? { elicitations: elicitationRequests.map(e => e.response?.action || 'error') } : {}),
           resultPreview: this.generateResultPreview(callResult)
         };
       }
@@ -424,6 +735,338 @@ class MCPTestFrameworkAdvanced {
     result.tests.push(testResult);
   }
 
+  /**
+   * Fail a tool test whose elicitation requests asked for something other
+   * than a flat object of primitive properties
+   */
+  checkElicitationSchemas(toolTest, elicitationRequests) {
+    const invalid = elicitationRequests.filter(e => e.schemaProblems);
+    if (invalid.length === 0) return;
+
+    const problems = invalid.flatMap(e => e.schemaProblems);
+    throw new MCPTestError(
+      `Elicitation requestedSchema of ${toolTest.toolName} is invalid: ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`,
+      'ELICITATION_SCHEMA_INVALID',
+      {
+        tool: toolTest.toolName,
+        problems,
+        requests: invalid.map(e => ({ message: e.message, requestedSchema: e.requestedSchema })),
+        hint: ELICITATION_HINT
+      }
+    );
+  }
+
+  /**
+   * Fail a `progress` tool test on missing, stray, late, decreasing or
+   * out-of-range progress notifications
+   * @returns {Object} Summary for the test result
+   */
+  checkToolProgress(toolTest, notifications, settings) {
+    const problems = checkProgress(notifications, settings);
+    if (problems.length > 0) {
+      throw new MCPTestError(
+        `Progress notifications of ${toolTest.toolName} are invalid: ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`,
+        'PROGRESS_INVALID',
+        {
+          tool: toolTest.toolName,
+          problems,
+          notifications: notifications.slice(0, 20),
+          hint: PROGRESS_HINT
+        }
+      );
+    }
+
+    const last = notifications[notifications.length - 1];
+    if (!last) return { notifications: 0 };
+    return {
+      notifications: notifications.length,
+      lastProgress: last.progress,
+      ...(last.total !== undefined ? { total: last.total } : {}),
+      firstAfter: notifications[0].at
+    };
+  }
+
+  /**
+   * Snapshot a tool result: `snapshot: true` or { name, redact: [...] }
+   * @returns {Promise<string>} 'created', 'updated' or 'matched'
+   */
+  async checkToolSnapshot(toolTest, callResult, result) {
+    const settings = toolTest.snapshot === true ? {} : toolTest.snapshot;
+    const key = settings.name || `${toolTest.toolName} ${JSON.stringify(toolTest.arguments || {})}`;
+    const prepared = prepareSnapshot(callResult, [
+      ...this.options.snapshotRedactions,
+      ...(settings.redact || [])
+    ]);
+
+    const outcome = await this.snapshots.check(result.name, key, prepared, this.options.updateSnapshots);
+    if (outcome.status === 'mismatched') {
+      throw new MCPTestError(
+        `Snapshot "${key}" does not match (${outcome.differences.length} difference${outcome.differences.length === 1 ? '' : 's'})`,
+        'SNAPSHOT_MISMATCH',
+        {
+          file: outcome.file,
+          snapshot: key,
+          differences: outcome.differences.slice(0, 20).map(diff => this.truncateForReport(diff)),
+          hint: 'Run with --update-snapshots if the new output is correct'
+        }
+      );
+    }
+
+    if (outcome.status !== 'matched') {
+      this.log(`Snapshot "${key}" ${outcome.status} in ${outcome.file}`, 'info');
+    }
+    return outcome.status;
+  }
+
+  /**
+   * Check structuredContent against the tool's outputSchema and verify the
+   * text content mirrors it, as the MCP spec asks for backwards compatibility
+   */
+  validateToolOutput(tool, callResult) {
+    // Error results are exempt from the output schema
+    if (callResult.isError) {
+      return;
+    }
+
+    const errors = [];
+    const suggestions = [];
+    let violations = [];
+    const { structuredContent } = callResult;
+
+    if (tool.outputSchema && structuredContent === undefined) {
+      errors.push('Tool declares an outputSchema but returned no structuredContent');
+      suggestions.push('Return the result object as "structuredContent" alongside "content"');
+    }
+
+    if (tool.outputSchema && structuredContent !== undefined) {
+      const validationResult = this.validateAgainstSchema(structuredContent, tool.outputSchema);
+      errors.push(...validationResult.errors);
+      suggestions.push(...validationResult.suggestions);
+      violations = validationResult.violations;
+    }
+
+    if (structuredContent !== undefined) {
+      const mirrored = callResult.content.some(item => {
+        if (item.type !== 'text') return false;
+        try {
+          return deepEqual(JSON.parse(item.text), structuredContent);
+        } catch (parseError) {
+          return false;
+        }
+      });
+
+      if (!mirrored) {
+        errors.push('No text content item contains the serialized structuredContent');
+        suggestions.push('Add { type: "text", text: JSON.stringify(structuredContent) } to "content" for older clients');
+      }
+    }
+
+    if (errors.length > 0) {
+      const errorMessage = [
+        'Invalid tool output:',
+        ...errors,
+        '',
+        'Suggestions:',
+        ...suggestions
+      ].join('\n  ');
+
+      throw new MCPTestError(
+        errorMessage,
+        'OUTPUT_SCHEMA_VALIDATION_FAILED',
+        {
+          tool: tool.name,
+          errors,
+          suggestions,
+          violations
+        }
+      );
+    }
+  }
+
+  /**
+   * Prompt test with argument validation and custom assertions,
+   * the prompts counterpart of runEnhancedToolTest
+   */
+  async runPromptTest(client, promptTest, result) {
+    const testResult = await this.executeTest(
+      `Prompt Test: ${promptTest.promptName}`,
+      async () => {
+        const prompts = await client.listPrompts();
+        const prompt = prompts.prompts.find(p => p.name === promptTest.promptName);
+
+        if (!prompt) {
+          throw new MCPTestError(
+            `Prompt "${promptTest.promptName}" not found`,
+            'PROMPT_NOT_FOUND',
+            { availablePrompts: prompts.prompts.map(p => p.name) }
+          );
+        }
+
+        if (this.options.validateSchemas) {
+          const validationResult = this.validateAgainstSchema(
+            promptTest.arguments || {},
+            this.promptArgumentsSchema(prompt)
+          );
+          if (!validationResult.valid) {
+            const errorMessage = [
+              'Invalid prompt arguments:',
+              ...validationResult.errors,
+              '',
+              'Suggestions:',
+              ...validationResult.suggestions
+            ].join('\n  ');
+
+            throw new MCPTestError(
+              errorMessage,
+              'SCHEMA_VALIDATION_FAILED',
+              {
+                errors: validationResult.errors,
+                suggestions: validationResult.suggestions,
+                violations: validationResult.violations
+              }
+            );
+          }
+        }
+
+        const startTime = Date.now();
+        let promptResult;
+
+        try {
+          promptResult = await this.requestUnparsed(client, 'prompts/get', {
+            name: promptTest.promptName,
+            arguments: promptTest.arguments || {}
+          });
+        } catch (promptError) {
+          throw new MCPTestError(
+            `Prompt retrieval failed: ${promptError.message}`,
+            'PROMPT_EXECUTION_FAILED',
+            {
+              prompt: promptTest.promptName,
+              arguments: promptTest.arguments,
+              error: promptError.message
+            }
+          );
+        }
+
+        const duration = Date.now() - startTime;
+
+        const issues = this.validatePromptMessages(promptResult);
+        if (issues.length > 0) {
+          throw new MCPTestError(
+            `Invalid prompt response:\n  ${issues.join('\n  ')}`,
+            'INVALID_RESPONSE',
+            { prompt: promptTest.promptName, issues }
+          );
+        }
+
+        const assertionResults = [];
+        if (promptTest.assertions) {
+          for (let i = 0; i < promptTest.assertions.length; i++) {
+            this.metrics.totalAssertions++;
+            try {
+              await promptTest.assertions[i](promptResult);
+              assertionResults.push({ index: i, status: 'passed' });
+            } catch (assertError) {
+              assertionResults.push({
+                index: i,
+                status: 'failed',
+                error: assertError.message
+              });
+              throw new MCPTestError(
+                `Assertion ${i + 1} failed: ${assertError.message}`,
+                'ASSERTION_FAILED',
+                { assertionIndex: i, prompt: promptTest.promptName }
+              );
+            }
+          }
+        }
+
+        return {
+          prompt: promptTest.promptName,
+          arguments: promptTest.arguments,
+          duration,
+          messageCount: promptResult.messages.length,
+          roles: promptResult.messages.map(m => m.role),
+          assertionResults,
+          resultPreview: this.generatePromptPreview(promptResult)
+        };
+      }
+    );
+    result.tests.push(testResult);
+  }
+
+  /**
+   * Express a prompt's declared arguments as a JSON Schema (all values are strings)
+   */
+  promptArgumentsSchema(prompt) {
+    const args = prompt.arguments || [];
+    return {
+      type: 'object',
+      properties: Object.fromEntries(args.map(arg => [
+        arg.name,
+        { type: 'string', ...(arg.description && { description: arg.description }) }
+      ])),
+      required: args.filter(arg => arg.required).map(arg => arg.name)
+    };
+  }
+
+  /**
+   * Check the messages returned by prompts/get
+   */
+  validatePromptMessages(promptResult) {
+    if (!promptResult || !Array.isArray(promptResult.messages) || promptResult.messages.length === 0) {
+      return ['Response has no "messages" array or it is empty'];
+    }
+
+    const issues = [];
+    promptResult.messages.forEach((message, i) => {
+      if (!['user', 'assistant'].includes(message.role)) {
+        issues.push(`messages[${i}].role must be "user" or "assistant", got ${JSON.stringify(message.role)}`);
+      }
+
+      const content = message.content;
+      switch (content?.type) {
+        case 'text':
+          if (typeof content.text !== 'string') {
+            issues.push(`messages[${i}].content.text must be a string`);
+          }
+          break;
+        case 'image':
+        case 'audio':
+          if (typeof content.data !== 'string' || typeof content.mimeType !== 'string') {
+            issues.push(`messages[${i}].content (${content.type}) needs "data" and "mimeType"`);
+          }
+          break;
+        case 'resource':
+          if (typeof content.resource?.uri !== 'string') {
+            issues.push(`messages[${i}].content.resource needs a "uri"`);
+          }
+          break;
+        case 'resource_link':
+          if (typeof content.uri !== 'string') {
+            issues.push(`messages[${i}].content (resource_link) needs a "uri"`);
+          }
+          break;
+        default:
+          issues.push(`messages[${i}].content has unknown type ${JSON.stringify(content?.type)}`);
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Generate a safe preview of prompt results
+   */
+  generatePromptPreview(promptResult) {
+    const first = promptResult.messages[0];
+    if (first.content.type === 'text') {
+      const text = first.content.text || '';
+      return `${first.role}: ${text.length > 100 ? text.substring(0, 100) + '...' : text}`;
+    }
+    return `${first.role}: ${first.content.type} content (${promptResult.messages.length} messages)`;
+  }
+
   /**
    * Generate a safe preview of tool results
    */
@@ -442,93 +1085,173 @@ class MCPTestFrameworkAdvanced {
   }
 
   /**
-   * Enhanced schema validation with user-friendly error messages
+   * Send a request whose result the tester validates itself. The SDK's
+   * typed helpers (getPrompt(), readResource(), ...) would reject a
+   * malformed result while parsing it, before any validation could say
+   * what is wrong with it.
+   * @returns {Promise<Object>} The result, checked only to be an object
+   */
+  requestUnparsed(client, method, params) {
+    return client.request({ method, params }, ResultSchema);
+  }
+
+  /**
+   * JSON Schema validation (draft-07/2020-12) with user-friendly error messages
    */
   validateAgainstSchema(data, schema) {
+    let violations;
+    try {
+      violations = validateSchema(data, schema).errors;
+    } catch (schemaError) {
+      // A broken schema (bad $ref or pattern) is the server's problem, not the caller's
+      this.log(`Skipping schema validation: ${schemaError.message}`, 'warning');
+      violations = [];
+    }
+
     const errors = [];
     const suggestions = [];
-    
-    // Check required fields
-    if (schema.required) {
-      for (const field of schema.required) {
-        if (!(field in data)) {
-          errors.push(`Missing required field: ${field}`);
-          
-          // Add suggestion based on schema
-          if (schema.properties && schema.properties[field]) {
-            const prop = schema.properties[field];
-            let suggestion = `Add "${field}": `;
-            
-            if (prop.enum) {
-              suggestion += `one of [${prop.enum.map(v => `"${v}"`).join(', ')}]`;
-            } else if (prop.type === 'string') {
-              suggestion += `"your-value"`;
-            } else if (prop.type === 'number') {
-              suggestion += `123`;
-            } else if (prop.type === 'boolean') {
-              suggestion += `true`;
-            } else {
-              suggestion += `<${prop.type}>`;
-            }
-            
-            if (prop.description) {
-              suggestion += ` // ${prop.description}`;
-            }
-            
-            suggestions.push(suggestion);
-          }
-        }
-      }
-    }
 
-    // Check enum values
-    if (schema.properties) {
-      for (const [fieldName, fieldSchema] of Object.entries(schema.properties)) {
-        if (fieldName in data && fieldSchema.enum) {
-          const value = data[fieldName];
-          if (!fieldSchema.enum.includes(value)) {
-            errors.push(`Invalid value for ${fieldName}: "${value}"`);
-            suggestions.push(`Use one of: ${fieldSchema.enum.map(v => `"${v}"`).join(', ')}`);
-          }
-        }
+    for (const violation of violations) {
+      errors.push(`${violation.path || '/'}: ${violation.message}`);
+
+      const suggestion = this.suggestSchemaFix(violation);
+      if (suggestion) {
+        suggestions.push(suggestion);
       }
     }
 
     return {
       valid: errors.length === 0,
       errors,
-      suggestions
+      suggestions,
+      violations: violations.map(({ path, keyword, message }) => ({ path, keyword, message }))
     };
   }
 
   /**
-   * Run protocol compliance tests
+   * Suggest a fix for a single schema violation
    */
-  async runProtocolComplianceTests(client, result) {
-    const complianceTests = [
-      {
-        name: 'Valid JSON-RPC responses',
-        fn: async () => {
-          // Test that server returns proper JSON-RPC formatted responses
-          const tools = await client.listTools();
-          if (!Array.isArray(tools.tools)) {
-            throw new Error('Invalid tools response format');
-          }
-          return { compliant: true };
+  suggestSchemaFix(violation) {
+    const { keyword, schema } = violation;
+    const target = violation.path || '/';
+
+    switch (keyword) {
+      case 'required': {
+        const prop = schema.properties?.[violation.field];
+        if (!prop) {
+          return null;
         }
-      },
-      {
-        name: 'Error handling compliance',
-        fn: async () => {
-          // Test that server returns proper error codes
-          try {
-            await client.callTool({ name: '__invalid_tool__', arguments: {} });
-            throw new Error('Server should have returned an error');
-          } catch (error) {
-            // Expected error - check it has proper structure
-            return { 
-              compliant: true, 
-              errorHandled: true,
+
+        const parent = violation.path.slice(0, violation.path.lastIndexOf('/'));
+        let suggestion = `Add "${violation.field}"${parent ? ` to ${parent}` : ''}: ${this.exampleSchemaValue(prop)}`;
+        if (prop.description) {
+          suggestion += ` // ${prop.description}`;
+        }
+        return suggestion;
+      }
+
+      case 'enum':
+        return `Use one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+
+      case 'const':
+        return `Set ${target} to ${JSON.stringify(schema.const)}`;
+
+      case 'type':
+        return `Use ${violation.expected.join(' or ')} for ${target}, e.g. ${this.exampleSchemaValue({ type: violation.expected[0] })}`;
+
+      case 'minimum':
+      case 'maximum':
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum': {
+        const bounds = [];
+        if (schema.minimum !== undefined) bounds.push(`>= ${schema.minimum}`);
+        if (typeof schema.exclusiveMinimum === 'number') bounds.push(`> ${schema.exclusiveMinimum}`);
+        if (schema.maximum !== undefined) bounds.push(`<= ${schema.maximum}`);
+        if (typeof schema.exclusiveMaximum === 'number') bounds.push(`< ${schema.exclusiveMaximum}`);
+        return `Use a value ${bounds.join(' and ')} for ${target}`;
+      }
+
+      case 'minLength':
+      case 'maxLength':
+        return `Use a string of ${schema.minLength ?? 0}-${schema.maxLength ?? '∞'} characters for ${target}`;
+
+      case 'pattern':
+        return `Make ${target} match /${schema.pattern}/`;
+
+      case 'format':
+        return `Use a valid ${schema.format} for ${target}`;
+
+      case 'additionalProperties': {
+        const allowed = Object.keys(schema.properties || {});
+        return `Remove "${violation.field}"${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''}`;
+      }
+
+      case 'anyOf':
+      case 'oneOf': {
+        const closest = violation.closest?.[0];
+        return closest ? `Closest match fails at ${closest.path || '/'}: ${closest.message}` : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Example literal for a property schema, used in suggestions
+   */
+  exampleSchemaValue(prop) {
+    if (prop.enum) {
+      return `one of [${prop.enum.map(v => JSON.stringify(v)).join(', ')}]`;
+    }
+    switch (prop.type) {
+      case 'string':
+        return '"your-value"';
+      case 'number':
+      case 'integer':
+        return '123';
+      case 'boolean':
+        return 'true';
+      case 'array':
+        return '[]';
+      case 'object':
+        return '{}';
+      case 'null':
+        return 'null';
+      default:
+        return `<${prop.type || 'value'}>`;
+    }
+  }
+
+  /**
+   * Run protocol compliance tests
+   * @param {Object} options - { rawProbes: true, probeTimeout: 2000 }
+   */
+  async runProtocolComplianceTests(client, result, transportConfig, options = {}) {
+    const complianceTests = [
+      {
+        name: 'Valid JSON-RPC responses',
+        fn: async () => {
+          // Test that server returns proper JSON-RPC formatted responses
+          const tools = await client.listTools();
+          if (!Array.isArray(tools.tools)) {
+            throw new Error('Invalid tools response format');
+          }
+          return { compliant: true };
+        }
+      },
+      {
+        name: 'Error handling compliance',
+        fn: async () => {
+          // Test that server returns proper error codes
+          try {
+            await client.callTool({ name: '__invalid_tool__', arguments: {} });
+            throw new Error('Server should have returned an error');
+          } catch (error) {
+            // Expected error - check it has proper structure
+            return { 
+              compliant: true, 
+              errorHandled: true,
               errorMessage: error.message 
             };
           }
@@ -539,6 +1262,248 @@ class MCPTestFrameworkAdvanced {
     for (const test of complianceTests) {
       await this.runCustomTest(client, test, result);
     }
+
+    // The SDK client normalises what it sends and receives, so probe below it
+    if (transportConfig && options.rawProbes !== false) {
+      await this.runRawProtocolProbes(transportConfig, result, options);
+    }
+  }
+
+  /**
+   * Send hand-built JSON-RPC frames (malformed JSON, invalid requests,
+   * batches, unknown methods, duplicate ids, requests before initialize)
+   * and check the error codes and that the server stays alive
+   * @param {Object} options - { probeTimeout: 2000 }
+   */
+  async runRawProtocolProbes(transportConfig, result, options = {}) {
+    if (!['stdio', 'streamableHttp'].includes(transportConfig.type)) {
+      this.log(`Raw protocol probes are not available for ${transportConfig.type}, skipping`, 'info');
+      return;
+    }
+
+    const probeTimeout = options.probeTimeout ?? 2000;
+    const openChannel = async (initialize) => {
+      const channel = await new RawJsonRpcChannel(transportConfig).open();
+      if (initialize) {
+        try {
+          channel.capabilities = (await channel.initialize(this.options.timeout)).capabilities || {};
+        } catch (error) {
+          await channel.close();
+          throw error;
+        }
+      }
+      return channel;
+    };
+
+    // Requests before initialize get a session of their own
+    const preInit = await this.executeTest('Raw Protocol: Request Before Initialize', async () => {
+      const channel = await openChannel(false);
+      try {
+        await channel.send({ jsonrpc: '2.0', id: 'probe-before-init', method: 'tools/list', params: {} });
+        // HTTP servers reject sessionless requests with a null id
+        const response = await channel.waitFor(
+          frame => isResponseTo(frame, 'probe-before-init') || (isResponseTo(frame, null) && 'error' in frame),
+          probeTimeout
+        );
+        let initialized = true;
+        try {
+          await channel.initialize(this.options.timeout);
+        } catch {
+          initialized = false;
+        }
+        if (!initialized) {
+          throw new MCPTestError(
+            'Server did not accept initialize after an early request',
+            'SERVER_UNRESPONSIVE',
+            { response }
+          );
+        }
+        return {
+          responded: Boolean(response),
+          rejected: Boolean(response?.error),
+          code: response?.error?.code,
+          ...(response?.result ? { warning: 'Server answered tools/list before initialize' } : {})
+        };
+      } finally {
+        await channel.close();
+      }
+    });
+    result.tests.push(preInit);
+
+    let channel;
+    try {
+      channel = await openChannel(true);
+    } catch (error) {
+      result.tests.push(await this.executeTest('Raw Protocol: Session Setup', async () => {
+        throw new MCPTestError(`Could not open a raw session: ${error.message}`, 'CONNECTION_ERROR');
+      }));
+      return;
+    }
+
+    const probes = [
+      {
+        name: 'Malformed JSON',
+        frames: ['{"jsonrpc": "2.0", "id": "probe-parse", "method": "ping"'],
+        expect: { code: ErrorCode.ParseError, match: frame => frame.id === null || frame.id === 'probe-parse' }
+      },
+      {
+        name: 'Missing jsonrpc Field',
+        frames: [JSON.stringify({ id: 'probe-no-version', method: 'ping' })],
+        expect: { code: ErrorCode.InvalidRequest, match: frame => frame.id === null || frame.id === 'probe-no-version' }
+      },
+      {
+        name: 'Invalid id Type',
+        frames: [JSON.stringify({ jsonrpc: '2.0', id: { bad: true }, method: 'ping' })],
+        expect: { code: ErrorCode.InvalidRequest, match: frame => frame.id === null || typeof frame.id === 'object' }
+      },
+      {
+        name: 'Batch Request',
+        frames: [JSON.stringify([
+          { jsonrpc: '2.0', id: 'probe-batch-1', method: 'ping' },
+          { jsonrpc: '2.0', id: 'probe-batch-2', method: 'ping' }
+        ])],
+        check: (frames) => this.checkBatchReply(frames)
+      },
+      {
+        name: 'Unknown Method',
+        frames: [JSON.stringify({ jsonrpc: '2.0', id: 'probe-unknown-method', method: 'mcp_tester/does_not_exist', params: {} })],
+        expect: { code: ErrorCode.MethodNotFound, required: true, match: frame => frame.id === 'probe-unknown-method' }
+      },
+      {
+        name: 'Invalid Params',
+        frames: () => {
+          if (channel.capabilities.tools) {
+            return [JSON.stringify({ jsonrpc: '2.0', id: 'probe-invalid-params', method: 'tools/call', params: { name: '__mcp_tester_unknown_tool__', arguments: {} } })];
+          }
+          if (channel.capabilities.prompts) {
+            return [JSON.stringify({ jsonrpc: '2.0', id: 'probe-invalid-params', method: 'prompts/get', params: { name: '__mcp_tester_unknown_prompt__' } })];
+          }
+          return null;
+        },
+        expect: { code: ErrorCode.InvalidParams, required: true, match: frame => frame.id === 'probe-invalid-params' }
+      },
+      {
+        name: 'Duplicate Request ids',
+        frames: [
+          JSON.stringify({ jsonrpc: '2.0', id: 'probe-duplicate', method: 'ping' }),
+          JSON.stringify({ jsonrpc: '2.0', id: 'probe-duplicate', method: 'ping' })
+        ],
+        check: (frames) => {
+          const replies = frames.filter(frame => isResponseTo(frame, 'probe-duplicate'));
+          if (replies.length === 0) {
+            throw new MCPTestError('Server did not answer either request with a duplicate id', 'NO_RESPONSE');
+          }
+          return {
+            responses: replies.length,
+            rejectedDuplicate: replies.some(frame => frame.error?.code === ErrorCode.InvalidRequest)
+          };
+        }
+      }
+    ];
+
+    for (const probe of probes) {
+      const testResult = await this.executeTest(`Raw Protocol: ${probe.name}`, async () => {
+        if (channel.closed && channel.type === 'stdio') {
+          channel = await openChannel(true);
+        }
+
+        const frames = typeof probe.frames === 'function' ? probe.frames() : probe.frames;
+        if (!frames) {
+          return { skipped: true, reason: 'Server exposes no tools or prompts to call with bad params' };
+        }
+
+        const since = channel.frames.length;
+        for (const frame of frames) {
+          await channel.sendRaw(frame);
+        }
+        // Silence is a valid answer to most probes, so only wait a short while
+        const expected = probe.expect
+          ? frame => !Array.isArray(frame) && 'error' in frame && probe.expect.match(frame)
+          : () => false;
+        await channel.waitFor(expected, probe.expect?.required ? probeTimeout : probeTimeout / 2, since);
+
+        const received = channel.frames.slice(since);
+        const outcome = probe.check
+          ? probe.check(received)
+          : this.checkProbeError(received, probe.expect);
+
+        if (!await channel.isAlive(probeTimeout)) {
+          const exitCode = channel.exitCode;
+          await channel.close();
+          channel = await openChannel(true);
+          throw new MCPTestError(
+            `Server stopped responding after: ${probe.name}`,
+            'SERVER_UNRESPONSIVE',
+            { frames, exitCode }
+          );
+        }
+
+        return { ...outcome, alive: true };
+      });
+      result.tests.push(testResult);
+    }
+
+    await channel.close();
+  }
+
+  /**
+   * Judge the reply to an invalid frame: silence is allowed unless
+   * `expect.required`, but any error must carry the expected code
+   */
+  checkProbeError(frames, expect) {
+    const reply = frames.find(frame => !Array.isArray(frame) && ('error' in frame || 'result' in frame) && expect.match(frame));
+
+    if (!reply) {
+      if (expect.required) {
+        throw new MCPTestError(`No response (expected error ${expect.code})`, 'NO_RESPONSE', { expectedCode: expect.code });
+      }
+      return { responded: false };
+    }
+    if (reply.result !== undefined) {
+      throw new MCPTestError(
+        `Server accepted an invalid request (expected error ${expect.code})`,
+        'INVALID_MESSAGE_ACCEPTED',
+        { expectedCode: expect.code, response: reply }
+      );
+    }
+    if (reply.error?.code !== expect.code) {
+      throw new MCPTestError(
+        `Expected error code ${expect.code}, got ${reply.error?.code}`,
+        'WRONG_ERROR_CODE',
+        { expectedCode: expect.code, actualCode: reply.error?.code, message: reply.error?.message }
+      );
+    }
+    return { responded: true, code: reply.error.code };
+  }
+
+  /**
+   * A batch may be answered (2025-03-26, as an array over stdio or as
+   * separate events over HTTP) or rejected as an invalid request
+   * (2025-06-18 dropped batching)
+   */
+  checkBatchReply(frames) {
+    const replies = frames.flat();
+    const answered = ['probe-batch-1', 'probe-batch-2'].filter(id => replies.some(frame => isResponseTo(frame, id)));
+    if (answered.length > 0) {
+      if (answered.length !== 2) {
+        throw new MCPTestError(
+          `Batch reply answered ${answered.length} of 2 requests`,
+          'INVALID_BATCH_RESPONSE',
+          { response: frames }
+        );
+      }
+      return { responded: true, batchSupported: true };
+    }
+
+    const error = frames.find(frame => frame.error && (frame.id === null || String(frame.id).startsWith('probe-batch')));
+    if (error && error.error.code !== ErrorCode.InvalidRequest) {
+      throw new MCPTestError(
+        `Expected batch rejection with ${ErrorCode.InvalidRequest}, got ${error.error.code}`,
+        'WRONG_ERROR_CODE',
+        { expectedCode: ErrorCode.InvalidRequest, actualCode: error.error.code }
+      );
+    }
+    return { responded: Boolean(error), batchSupported: false };
   }
 
   /**
@@ -567,7 +1532,8 @@ class MCPTestFrameworkAdvanced {
             avgTime: Math.round(avgTime),
             maxTime,
             minTime,
-            withinThreshold: avgTime <= this.options.performanceThresholds.discovery
+            withinThreshold: avgTime <= this.options.performanceThresholds.discovery,
+            samples: times
           };
         }
       },
@@ -598,6 +1564,171 @@ class MCPTestFrameworkAdvanced {
     }
   }
 
+  /**
+   * Logging tests: logging/setLevel at every RFC 5424 level, checking that
+   * the notifications/message received afterwards are at or above it
+   * @param {Object} options - { trigger: { toolName, arguments } (or a list)
+   *   called after each setLevel to make the server log, settle: 200 ms to
+   *   wait for messages, level: 'debug' to leave the server at }
+   */
+  async runLoggingTests(client, result, options = {}) {
+    if (!client.getServerCapabilities()?.logging) {
+      result.tests.push(await this.executeTest('Logging', async () => ({
+        skipped: true,
+        reason: 'Server does not advertise the logging capability'
+      })));
+      return;
+    }
+
+    const levels = LoggingLevelSchema.options;
+    const triggers = [].concat(options.trigger || []);
+    const settle = options.settle ?? 200;
+
+    for (const level of levels) {
+      const testResult = await this.executeTest(`Logging: setLevel ${level}`, async () => {
+        const start = this.logMessages.entries.length;
+        try {
+          await client.setLoggingLevel(level);
+        } catch (error) {
+          throw new MCPTestError(`logging/setLevel "${level}" failed: ${error.message}`, 'SET_LEVEL_FAILED', { level });
+        }
+
+        for (const trigger of triggers) {
+          try {
+            await client.request({
+              method: 'tools/call',
+              params: { name: trigger.toolName, arguments: trigger.arguments || {} }
+            }, CallToolResultSchema);
+          } catch (error) {
+            throw new MCPTestError(
+              `Logging trigger ${trigger.toolName} failed: ${error.message}`,
+              'TOOL_EXECUTION_FAILED',
+              { tool: trigger.toolName, arguments: trigger.arguments }
+            );
+          }
+        }
+        await new Promise(resolve => setTimeout(resolve, settle));
+
+        const messages = this.logMessages.since(start);
+        const summarize = entries => entries.slice(0, 10).map(({ level, logger, line }) => ({ level, logger, line }));
+
+        const belowLevel = messages.filter(m => levels.indexOf(m.level) < levels.indexOf(level));
+        if (belowLevel.length > 0) {
+          throw new MCPTestError(
+            `${belowLevel.length} log message${belowLevel.length === 1 ? '' : 's'} below "${level}" ${belowLevel.length === 1 ? 'was' : 'were'} sent after logging/setLevel`,
+            'LOG_LEVEL_NOT_RESPECTED',
+            {
+              level,
+              messages: summarize(belowLevel),
+              hint: 'Only send notifications/message at or above the level set with logging/setLevel'
+            }
+          );
+        }
+
+        if (level === levels[0] && triggers.length > 0 && messages.length === 0) {
+          throw new MCPTestError(
+            `No log messages at level "${level}" after calling ${triggers.map(t => t.toolName).join(', ')}`,
+            'NO_LOG_MESSAGES',
+            { level, triggers }
+          );
+        }
+
+        const byLevel = {};
+        for (const message of messages) {
+          byLevel[message.level] = (byLevel[message.level] || 0) + 1;
+        }
+        return { level, received: messages.length, byLevel };
+      });
+      result.tests.push(testResult);
+    }
+
+    // Later tests are logged at the chosen level
+    await client.setLoggingLevel(options.level || levels[0]).catch(() => {});
+  }
+
+  /**
+   * Cancellation tests: cancel a slow tool call, then check that the server
+   * sent no late response or progress for it and still answers requests
+   * @param {Object} options - { toolName, arguments, cancelAfter: 100, observeFor: 1000 }
+   */
+  async runCancellationTests(client, result, options = {}) {
+    const cancelTest = await this.executeTest(`Cancellation: ${options.toolName || '(no tool)'}`, async () => {
+      if (!options.toolName) {
+        return { skipped: true, reason: 'Set testCancellation.toolName (or --cancellation <tool>) to a tool that runs for a while' };
+      }
+
+      const { tools } = await client.listTools();
+      const tool = tools.find(t => t.name === options.toolName);
+      if (!tool) {
+        throw new MCPTestError(
+          `Tool "${options.toolName}" not found`,
+          'TOOL_NOT_FOUND',
+          { availableTools: tools.map(t => t.name) }
+        );
+      }
+
+      const args = options.arguments || generateArguments(tool.inputSchema);
+      const outcome = await observeCancellation(client, { ...options, arguments: args });
+
+      if (outcome.completedBeforeCancel) {
+        throw new MCPTestError(
+          `${tool.name} finished in ${outcome.duration}ms, before it could be cancelled`,
+          'CANCELLATION_NOT_EXERCISED',
+          { tool: tool.name, arguments: args, hint: 'Use arguments that make the call slower, or a lower cancelAfter' }
+        );
+      }
+      if (outcome.lateResponse) {
+        throw new MCPTestError(
+          `Server sent the response ${outcome.lateResponse.after}ms after notifications/cancelled`,
+          'CANCELLATION_IGNORED',
+          { tool: tool.name, arguments: args, lateResponse: this.truncateForReport(outcome.lateResponse), hint: CANCELLATION_HINT }
+        );
+      }
+      if (outcome.lateProgress.length > 0) {
+        throw new MCPTestError(
+          `Server kept reporting progress after notifications/cancelled (${outcome.lateProgress.length} notifications), so the work did not stop`,
+          'CANCELLATION_IGNORED',
+          { tool: tool.name, arguments: args, lateProgress: outcome.lateProgress.slice(0, 20), hint: CANCELLATION_HINT }
+        );
+      }
+
+      return {
+        tool: tool.name,
+        arguments: args,
+        cancelledAfter: outcome.cancelledAfter,
+        progressBeforeCancel: outcome.progressBeforeCancel,
+        // Without progress notifications only the missing response shows it stopped
+        stopVerifiedByProgress: outcome.progressBeforeCancel > 0
+      };
+    });
+    result.tests.push(cancelTest);
+    if (cancelTest.result?.skipped) {
+      return;
+    }
+
+    const healthTest = await this.executeTest('Cancellation: Server Healthy Afterwards', async () => {
+      // Receivers must ignore cancellations of unknown requests
+      await client.notification({
+        method: 'notifications/cancelled',
+        params: { requestId: 'mcp-tester-never-sent', reason: 'Cancellation of an unknown request' }
+      });
+
+      const start = Date.now();
+      try {
+        await client.ping();
+        await client.listTools();
+      } catch (error) {
+        throw new MCPTestError(
+          `Server stopped answering after a cancellation: ${error.message}`,
+          'SERVER_UNHEALTHY',
+          { error: error.message }
+        );
+      }
+      return { responseTime: Date.now() - start };
+    });
+    result.tests.push(healthTest);
+  }
+
   /**
    * Run error handling tests
    */
@@ -648,6 +1779,82 @@ class MCPTestFrameworkAdvanced {
     }
   }
 
+  /**
+   * Start the server from a transport's `serve` block and wait until it is
+   * ready (see server-process.js). Its output goes to the suite's serverLogs.
+   */
+  async startServedProcess(transportConfig, result) {
+    if (transportConfig.type === 'stdio') {
+      throw new MCPTestError('"serve" is for sse and streamableHttp transports; stdio servers are started by the transport', 'INVALID_CONFIG');
+    }
+
+    const { serve } = transportConfig;
+    const commandLine = [serve.command, ...(serve.args || [])].join(' ');
+    result.serve = { command: commandLine };
+    this.log(`Starting server: ${commandLine}`, 'info');
+
+    let served;
+    try {
+      served = new ServedProcess(serve, transportConfig.url, this.stderr,
+        entry => this.log(`[server ${entry.stream}] ${entry.line}`, 'debug'));
+      result.serve.readyAfter = await served.start();
+    } catch (error) {
+      // start() has already stopped the process
+      result.serve.exitCode = served?.exitCode;
+      throw new MCPTestError(error.message, error.code || 'INVALID_CONFIG', { command: commandLine });
+    }
+
+    this.log(`Server ready after ${result.serve.readyAfter}ms`, 'success');
+    return served;
+  }
+
+  /**
+   * Spawn the stdio server on a raw channel and fail on stdout lines that
+   * are not JSON-RPC (see stdout-pollution.js)
+   */
+  async runStdoutPollutionCheck(transportConfig, result) {
+    const test = await this.executeTest('Stdout Pollution', async () => {
+      // Leave room within the test timeout for one unanswered request
+      const check = await detectStdoutPollution(transportConfig, {
+        timeout: Math.min(Math.floor(this.options.timeout / 3), 5000)
+      });
+
+      if (check.lines.length > 0) {
+        throw new MCPTestError(
+          `Server wrote ${check.lines.length} non-JSON-RPC line${check.lines.length === 1 ? '' : 's'} to stdout, first ${check.lines[0].near}: ${check.lines[0].line}`,
+          'STDOUT_POLLUTION',
+          {
+            lines: check.lines.slice(0, 20),
+            handshakeError: check.handshakeError,
+            stderr: check.stderr || undefined,
+            hint: POLLUTION_HINT
+          }
+        );
+      }
+      if (check.handshakeError) {
+        this.log(`Stdout check incomplete: ${check.handshakeError}`, 'warning');
+      }
+
+      return {
+        linesChecked: check.totalLines,
+        stderrBytes: check.stderr.length,
+        incomplete: check.handshakeError || undefined
+      };
+    });
+    result.tests.push(test);
+
+    // A response glued to other output is lost, so the SDK client would
+    // wait out its request timeout on the same server
+    const details = test.errorDetails;
+    if (test.errorCode === 'STDOUT_POLLUTION' && details.handshakeError && details.lines.some(l => l.swallowedMessage)) {
+      throw new MCPTestError(
+        `Stdout pollution breaks the handshake (${test.errorDetails.handshakeError})`,
+        'STDOUT_POLLUTION',
+        details
+      );
+    }
+  }
+
   /**
    * Enhanced discovery tests with detailed information
    */
@@ -664,6 +1871,7 @@ class MCPTestFrameworkAdvanced {
             name: t.name,
             hasDescription: !!t.description,
             hasInputSchema: !!t.inputSchema,
+            hasOutputSchema: !!t.outputSchema,
           }));
           
           return { 
@@ -718,6 +1926,445 @@ class MCPTestFrameworkAdvanced {
     }
   }
 
+  /**
+   * Resource tests: read every listed resource and every template expanded
+   * with sample values, checking the shape of the returned contents
+   * @param {Object} options - { maxReads: 20, templateValues: { name: 'value' } }
+   */
+  async runResourceTests(client, result, options = {}) {
+    const maxReads = options.maxReads ?? 20;
+    const templateValues = options.templateValues || {};
+    result.resources = [];
+
+    if (!client.getServerCapabilities()?.resources) {
+      result.tests.push(await this.executeTest('Read Resources', async () => ({
+        skipped: true,
+        reason: 'Server does not advertise the resources capability'
+      })));
+      return;
+    }
+
+    let resources = [];
+    let templates = [];
+    result.tests.push(await this.executeTest('Resource Listing', async () => {
+      ({ resources } = await client.listResources());
+      try {
+        ({ resourceTemplates: templates } = await client.listResourceTemplates());
+      } catch (error) {
+        this.log(`Resource templates not available: ${error.message}`, 'debug');
+      }
+      return {
+        count: resources.length,
+        templates: templates.length,
+        reading: Math.min(resources.length + templates.length, maxReads),
+        maxReads
+      };
+    }));
+
+    // One limit for both: templates get the reads that resources leave
+    const resourceReads = resources.slice(0, maxReads);
+    const templateReads = templates.slice(0, maxReads - resourceReads.length);
+
+    for (const resource of resourceReads) {
+      await this.runResourceReadTest(client, result, {
+        name: `Read Resource: ${resource.uri}`,
+        uri: resource.uri,
+        mimeType: resource.mimeType
+      });
+    }
+
+    for (const template of templateReads) {
+      const uriTemplate = new UriTemplate(template.uriTemplate);
+      const values = Object.fromEntries(
+        uriTemplate.variableNames.map(name => [name, templateValues[name] ?? 'test'])
+      );
+
+      await this.runResourceReadTest(client, result, {
+        name: `Read Resource Template: ${template.uriTemplate}`,
+        uri: uriTemplate.expand(values),
+        mimeType: template.mimeType,
+        template: template.uriTemplate
+      });
+    }
+  }
+
+  /**
+   * Read one resource, validate its contents and record latency and size
+   */
+  async runResourceReadTest(client, result, target) {
+    const testResult = await this.executeTest(target.name, async () => {
+      const start = Date.now();
+      const response = await this.requestUnparsed(client, 'resources/read', { uri: target.uri });
+      const duration = Date.now() - start;
+
+      const issues = this.validateResourceContents(response, target);
+      if (issues.length > 0) {
+        throw new MCPTestError(
+          `Invalid resource contents for ${target.uri}:\n  ${issues.join('\n  ')}`,
+          'INVALID_RESOURCE_CONTENT',
+          { uri: target.uri, template: target.template, issues }
+        );
+      }
+
+      const size = response.contents.reduce((total, item) => total + (
+        item.text !== undefined
+          ? Buffer.byteLength(item.text, 'utf8')
+          : Buffer.from(item.blob, 'base64').length
+      ), 0);
+
+      return {
+        uri: target.uri,
+        template: target.template,
+        duration,
+        size,
+        contents: response.contents.map(item => ({
+          uri: item.uri,
+          mimeType: item.mimeType,
+          kind: item.text !== undefined ? 'text' : 'blob'
+        })),
+        preview: response.contents[0].text !== undefined
+          ? this.generateResultPreview({ content: [{ type: 'text', text: response.contents[0].text }] })
+          : `blob (${response.contents[0].blob.length} base64 chars)`
+      };
+    });
+
+    result.tests.push(testResult);
+    result.resources.push({
+      uri: target.uri,
+      template: target.template,
+      status: testResult.status,
+      duration: testResult.result?.duration ?? testResult.duration,
+      size: testResult.result?.size ?? null
+    });
+  }
+
+  /**
+   * Check a resources/read response against the spec and the listing
+   */
+  validateResourceContents(response, target) {
+    const issues = [];
+
+    if (!response || !Array.isArray(response.contents) || response.contents.length === 0) {
+      return ['Response has no "contents" array or it is empty'];
+    }
+
+    response.contents.forEach((item, i) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        issues.push(`contents[${i}] is not an object`);
+        return;
+      }
+      const hasText = typeof item.text === 'string';
+      const hasBlob = typeof item.blob === 'string';
+
+      if (typeof item.uri !== 'string') {
+        issues.push(`contents[${i}] is missing "uri"`);
+      }
+      if (hasText === hasBlob) {
+        issues.push(`contents[${i}] must have exactly one of "text" or "blob"`);
+      }
+      if (hasBlob && (item.blob.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(item.blob))) {
+        issues.push(`contents[${i}].blob is not valid base64`);
+      }
+      if (target.mimeType && item.mimeType && item.mimeType !== target.mimeType) {
+        issues.push(`contents[${i}].mimeType "${item.mimeType}" differs from listed "${target.mimeType}"`);
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Prompt tests: get every prompt with generated values for its required
+   * arguments, and check that omitting a required argument is rejected
+   * @param {Object} options - { maxPrompts: 20, argumentValues: { name: 'value' } }
+   */
+  async runPromptTests(client, result, options = {}) {
+    const maxPrompts = options.maxPrompts ?? 20;
+    const argumentValues = options.argumentValues || {};
+
+    if (!client.getServerCapabilities()?.prompts) {
+      result.tests.push(await this.executeTest('Get Prompts', async () => ({
+        skipped: true,
+        reason: 'Server does not advertise the prompts capability'
+      })));
+      return;
+    }
+
+    let prompts = [];
+    result.tests.push(await this.executeTest('Prompt Listing', async () => {
+      ({ prompts } = await client.listPrompts());
+      return {
+        count: prompts.length,
+        testing: Math.min(prompts.length, maxPrompts),
+        maxPrompts
+      };
+    }));
+
+    for (const prompt of prompts.slice(0, maxPrompts)) {
+      const required = (prompt.arguments || []).filter(arg => arg.required);
+      const args = Object.fromEntries(
+        required.map(arg => [arg.name, String(argumentValues[arg.name] ?? `test-${arg.name}`)])
+      );
+
+      await this.runPromptTest(client, { promptName: prompt.name, arguments: args }, result);
+
+      if (required.length > 0) {
+        const omitted = required[0].name;
+        const { [omitted]: _, ...incompleteArgs } = args;
+
+        const testResult = await this.executeTest(`Prompt Missing Argument: ${prompt.name}`, async () => {
+          try {
+            await client.getPrompt({ name: prompt.name, arguments: incompleteArgs });
+          } catch (error) {
+            if (error.code !== ErrorCode.InvalidParams) {
+              throw new MCPTestError(
+                `Missing "${omitted}" was rejected with code ${error.code}, expected ${ErrorCode.InvalidParams} (Invalid params)`,
+                'WRONG_ERROR_CODE',
+                { prompt: prompt.name, omitted, code: error.code, error: error.message }
+              );
+            }
+            return { omitted, rejected: true, code: error.code };
+          }
+
+          throw new MCPTestError(
+            `Prompt accepted a request without required argument "${omitted}"`,
+            'MISSING_ARGUMENT_ACCEPTED',
+            { prompt: prompt.name, omitted }
+          );
+        });
+        result.tests.push(testResult);
+      }
+    }
+  }
+
+  /**
+   * Smoke tests: call every listed tool once with arguments generated from
+   * its inputSchema and report which ones error or throw
+   * @param {Object} options - { includeDestructive: false, includeOptional: false, exclude: [] }
+   */
+  async runToolSmokeTests(client, result, options = {}) {
+    const exclude = options.exclude || [];
+    const { tools } = await client.listTools();
+
+    for (const tool of tools) {
+      if (exclude.includes(tool.name)) {
+        continue;
+      }
+
+      const testResult = await this.executeTest(`Smoke Test: ${tool.name}`, async () => {
+        // Tools that declare they may destroy data are only called on request
+        if (tool.annotations?.destructiveHint === true && !options.includeDestructive) {
+          return { skipped: true, reason: 'Tool is annotated as destructive (use includeDestructive)' };
+        }
+
+        const args = generateArguments(tool.inputSchema, { includeOptional: options.includeOptional });
+        const validation = tool.inputSchema ? this.validateAgainstSchema(args, tool.inputSchema) : { valid: true, errors: [] };
+
+        const start = Date.now();
+        let callResult;
+        try {
+          callResult = await client.request({
+            method: 'tools/call',
+            params: { name: tool.name, arguments: args }
+          }, CallToolResultSchema);
+        } catch (toolError) {
+          throw new MCPTestError(
+            `Tool threw: ${toolError.message}`,
+            'TOOL_EXECUTION_FAILED',
+            { tool: tool.name, arguments: args, error: toolError.message, generatedArgsValid: validation.valid }
+          );
+        }
+        const duration = Date.now() - start;
+
+        if (callResult.isError) {
+          throw new MCPTestError(
+            `Tool returned an error: ${this.generateResultPreview(callResult)}`,
+            'TOOL_RETURNED_ERROR',
+            { tool: tool.name, arguments: args, generatedArgsValid: validation.valid }
+          );
+        }
+
+        return {
+          tool: tool.name,
+          arguments: args,
+          generatedArgsValid: validation.valid,
+          ...(validation.valid ? {} : { generatorGaps: validation.errors }),
+          duration,
+          resultPreview: this.generateResultPreview(callResult)
+        };
+      });
+      result.tests.push(testResult);
+    }
+  }
+
+  /**
+   * Fuzz tests: call each tool with seeded random schema-valid and
+   * schema-invalid arguments, detect crashes, protocol errors, hangs and
+   * disconnects, and shrink the first failure of each kind to a minimal
+   * reproduction. The same seed replays the same inputs.
+   * @param {Object} connection - { client, transport, clientOptions }; client and
+   *   transport are replaced after a disconnect
+   * @param {Object} options - { seed, runs: 100, hangTimeout: 5000, maxShrinkAttempts: 50, tools, includeDestructive }
+   */
+  async runFuzzTests(connection, transportConfig, result, options = {}) {
+    const seed = (options.seed ?? Math.floor(Math.random() * 0x100000000)) >>> 0;
+    const runs = options.runs ?? 100;
+    const hangTimeout = options.hangTimeout ?? 5000;
+    const maxShrinkAttempts = options.maxShrinkAttempts ?? 50;
+
+    result.fuzz = { seed, runs };
+    this.log(`Fuzzing with seed ${seed} (replay with --fuzz-seed ${seed})`, 'info');
+
+    const { tools } = await connection.client.listTools();
+    const selected = tools.filter(tool =>
+      (!options.tools || options.tools.includes(tool.name)) &&
+      (options.includeDestructive || tool.annotations?.destructiveHint !== true)
+    );
+
+    for (const tool of selected) {
+      const testResult = await this.executeTest(`Fuzz: ${tool.name}`, async () => {
+        const rng = createRng(seed ^ hashString(tool.name));
+        const schema = tool.inputSchema || { type: 'object' };
+        const outcomes = {};
+        const failures = new Map();
+        let validInputs = 0;
+
+        for (let iteration = 0; iteration < runs; iteration++) {
+          const { args, mutation } = rng() < 0.5
+            ? { args: generateValidArguments(schema, rng), mutation: null }
+            : generateInvalidArguments(schema, rng);
+          const valid = this.validateAgainstSchema(args, schema).valid;
+          if (valid) validInputs++;
+
+          const outcome = await this.fuzzCall(connection, transportConfig, tool.name, args, valid, hangTimeout);
+          outcomes[outcome.kind] = (outcomes[outcome.kind] || 0) + 1;
+
+          if (!outcome.failure) continue;
+          if (failures.has(outcome.kind)) {
+            failures.get(outcome.kind).occurrences++;
+            continue;
+          }
+
+          this.log(`Fuzz failure (${outcome.kind}) in ${tool.name} at iteration ${iteration}, shrinking...`, 'warning');
+          const shrunk = await shrinkInput(
+            args,
+            async (candidate) => {
+              const candidateValid = this.validateAgainstSchema(candidate, schema).valid;
+              const retry = await this.fuzzCall(connection, transportConfig, tool.name, candidate, candidateValid, hangTimeout);
+              return retry.kind === outcome.kind;
+            },
+            // Hangs and disconnects cost a timeout or reconnect per attempt
+            outcome.kind === 'hang' || outcome.kind === 'disconnect' ? Math.min(10, maxShrinkAttempts) : maxShrinkAttempts
+          );
+
+          failures.set(outcome.kind, {
+            kind: outcome.kind,
+            iteration,
+            validInput: valid,
+            mutation,
+            error: outcome.message,
+            code: outcome.code,
+            occurrences: 1,
+            // Truncated like input: the seed, not the report, replays the full values
+            input: this.truncateForReport(args),
+            minimalInput: this.truncateForReport(shrunk.args),
+            shrinkSteps: shrunk.steps
+          });
+        }
+
+        const summary = {
+          tool: tool.name,
+          seed,
+          runs,
+          validInputs,
+          invalidInputs: runs - validInputs,
+          outcomes
+        };
+
+        if (failures.size > 0) {
+          throw new MCPTestError(
+            `Fuzzing found ${[...failures.keys()].join(', ')} in ${tool.name} (seed ${seed})`,
+            'FUZZ_FAILURE',
+            { ...summary, failures: [...failures.values()] }
+          );
+        }
+        return summary;
+      }, { timeout: 0 });
+
+      result.tests.push(testResult);
+    }
+  }
+
+  /**
+   * Call a tool once for the fuzzer and classify the outcome
+   * @returns {Promise<{kind: string, failure: boolean, code?: number, message?: string}>}
+   */
+  async fuzzCall(connection, transportConfig, toolName, args, valid, hangTimeout) {
+    try {
+      const callResult = await connection.client.request({
+        method: 'tools/call',
+        params: { name: toolName, arguments: args }
+      }, CallToolResultSchema, { timeout: hangTimeout });
+
+      if (callResult.isError) {
+        return { kind: 'tool-error', failure: false };
+      }
+      return { kind: valid ? 'ok' : 'accepted-invalid', failure: false };
+    } catch (error) {
+      const message = error.message;
+
+      if (error.code === ErrorCode.RequestTimeout) {
+        return { kind: 'hang', failure: true, code: error.code, message };
+      }
+
+      if (error.code === ErrorCode.ConnectionClosed || /Not connected|ECONNREFUSED|ECONNRESET|fetch failed|socket hang up/i.test(message)) {
+        // Get a fresh connection so fuzzing can continue
+        try {
+          await connection.client.close();
+        } catch (closeError) {
+          this.log(`Error closing client: ${closeError.message}`, 'debug');
+        }
+        Object.assign(connection, await this.connectToServer(transportConfig, connection.clientOptions));
+        return { kind: 'disconnect', failure: true, code: error.code, message };
+      }
+
+      // The SDK throws a ZodError when the response is not a valid CallToolResult
+      if (typeof error.code !== 'number' || [ErrorCode.ParseError, ErrorCode.InvalidRequest, ErrorCode.MethodNotFound].includes(error.code)) {
+        return { kind: 'protocol', failure: true, code: error.code, message };
+      }
+
+      if (!valid) {
+        return { kind: 'rejected', failure: false, code: error.code };
+      }
+      if (error.code === ErrorCode.InvalidParams) {
+        // The server's own validation disagrees with its inputSchema
+        return { kind: 'schema-mismatch', failure: true, code: error.code, message };
+      }
+      return { kind: 'crash', failure: true, code: error.code, message };
+    }
+  }
+
+  /**
+   * Keep oversized fuzz inputs (100k strings, deep nesting) readable in reports
+   */
+  truncateForReport(value, depth = 0) {
+    if (typeof value === 'string') {
+      return value.length > 200 ? `${value.substring(0, 200)}... (${value.length} chars)` : value;
+    }
+    if (depth > 10) {
+      return '[nested too deep]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.truncateForReport(item, depth + 1));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.truncateForReport(item, depth + 1)])
+      );
+    }
+    return value;
+  }
+
   /**
    * Enhanced stability tests
    */
@@ -747,7 +2394,8 @@ class MCPTestFrameworkAdvanced {
             minTime: Math.min(...results),
             maxTime: Math.max(...results),
             variance: Math.round(variance),
-            stable: variance < 100 // Low variance indicates stability
+            stable: variance < 100, // Low variance indicates stability
+            samples: results
           };
         }
       },
@@ -822,8 +2470,10 @@ class MCPTestFrameworkAdvanced {
 
   /**
    * Execute a single test with enhanced error handling and timeout
+   * @param {Object} options - { timeout } overrides the framework timeout, 0 disables it
    */
-  async executeTest(name, fn) {
+  async executeTest(name, fn, options = {}) {
+    const timeout = options.timeout ?? this.options.timeout;
     const startTime = Date.now();
     const test = {
       name,
@@ -831,13 +2481,25 @@ class MCPTestFrameworkAdvanced {
     };
 
     this.metrics.totalTestsRun++;
+    const trafficStart = this.traffic.entries.length;
+    this.traffic.currentTest = name;
+    // Aborted on timeout, which cancels the test's requests (cancelOnTestTimeout)
+    const controller = new AbortController();
+    this.currentTestSignal = controller.signal;
+    let timer;
 
     try {
       this.log(`Running test: ${name}`, 'info');
       
       // Create a timeout promise
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new TestTimeoutError(name, this.options.timeout)), this.options.timeout);
+        if (timeout > 0) {
+          timer = setTimeout(() => {
+            const error = new TestTimeoutError(name, timeout);
+            controller.abort(error);
+            reject(error);
+          }, timeout);
+        }
       });
       
       // Race between test execution and timeout
@@ -856,11 +2518,25 @@ class MCPTestFrameworkAdvanced {
       if (error.details) {
         this.log(`  Details: ${JSON.stringify(error.details)}`, 'debug');
       }
+      if (this.options.recordTraffic) {
+        test.traffic = this.recentTraffic(trafficStart);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.traffic.currentTest = null;
+      this.currentTestSignal = null;
     }
 
     return test;
   }
 
+  /**
+   * Messages exchanged since `start`, trimmed for the report
+   */
+  recentTraffic(start) {
+    return this.traffic.since(start, this.options.trafficLimit).map(entry => this.truncateForReport(entry));
+  }
+
   /**
    * Sanitize configuration for logging (remove sensitive data)
    */
@@ -882,6 +2558,17 @@ class MCPTestFrameworkAdvanced {
       sanitized.headers = safeHeaders;
     }
     
+    // Servers often get credentials through env
+    const redactEnv = (env) => Object.fromEntries(Object.entries(env).map(([key, value]) =>
+      [key, /auth|token|key|secret|password/i.test(key) ? '[REDACTED]' : value]
+    ));
+    if (sanitized.env) {
+      sanitized.env = redactEnv(sanitized.env);
+    }
+    if (sanitized.serve?.env) {
+      sanitized.serve = { ...sanitized.serve, env: redactEnv(sanitized.serve.env) };
+    }
+    
     // Remove auth tokens
     if (sanitized.auth) {
       sanitized.auth = '[REDACTED]';
@@ -930,15 +2617,33 @@ class MCPTestFrameworkAdvanced {
       recommendations: this.generateRecommendations()
     };
 
-    // Save to file
-    try {
-      await fs.mkdir(this.options.outputDir, { recursive: true });
-      const filename = `mcp-test-report-${Date.now()}.json`;
-      const filepath = path.join(this.options.outputDir, filename);
-      await fs.writeFile(filepath, JSON.stringify(report, null, 2));
-      this.log(`Report saved to: ${filepath}`, 'success');
-    } catch (error) {
-      this.log(`Failed to save report: ${error.message}`, 'error');
+    const stamp = Date.now();
+
+    // The trace goes next to the JSON report
+    if (this.options.trace && this.options.recordTraffic) {
+      const jsonOutput = this.options.reporters.find(r => r.name === 'json' && r.output)?.output;
+      const tracePath = path.join(jsonOutput ? path.dirname(jsonOutput) : this.options.outputDir, `mcp-trace-${stamp}.jsonl`);
+      try {
+        await fs.mkdir(path.dirname(tracePath), { recursive: true });
+        await fs.writeFile(tracePath, this.traffic.toJsonl());
+        report.traceFile = tracePath;
+        this.log(`Traffic trace saved to: ${tracePath}`, 'success');
+      } catch (error) {
+        this.log(`Failed to save traffic trace: ${error.message}`, 'error');
+      }
+    }
+
+    // Save to file, once per configured reporter
+    for (const { name, output } of this.options.reporters) {
+      try {
+        const reporter = getReporter(name);
+        const filepath = output || path.join(this.options.outputDir, `mcp-test-report-${stamp}${reporter.extension}`);
+        await fs.mkdir(path.dirname(filepath), { recursive: true });
+        await fs.writeFile(filepath, reporter.render(report));
+        this.log(`Report saved to: ${filepath}`, 'success');
+      } catch (error) {
+        this.log(`Failed to save ${name} report: ${error.message}`, 'error');
+      }
     }
 
     return report;
@@ -969,18 +2674,15 @@ class MCPTestFrameworkAdvanced {
       });
     }
 
-    // Check for missing capabilities
-    const hasTools = this.results.some(r => 
-      r.tests?.some(t => t.name === 'List Tools' && t.result?.count > 0)
-    );
-    const hasResources = this.results.some(r => 
-      r.tests?.some(t => t.name === 'List Resources' && t.result?.count > 0)
-    );
-    const hasPrompts = this.results.some(r => 
-      r.tests?.some(t => t.name === 'List Prompts' && t.result?.count > 0)
+    // Check for missing capabilities, only when discovery ran and every
+    // listing succeeded: a skipped or failed listing says nothing
+    const listings = this.results.flatMap(r =>
+      (r.tests || []).filter(t => ['List Tools', 'List Resources', 'List Prompts'].includes(t.name))
     );
+    const exposesNothing = listings.length > 0 &&
+      listings.every(t => t.status === 'passed' && t.result?.count === 0);
 
-    if (!hasTools && !hasResources && !hasPrompts) {
+    if (exposesNothing) {
       recommendations.push({
         type: 'capability',
         severity: 'info',
@@ -989,6 +2691,30 @@ class MCPTestFrameworkAdvanced {
       });
     }
 
+    const cancellationIgnored = this.results.some(r =>
+      r.tests?.some(t => t.errorCode === 'CANCELLATION_IGNORED')
+    );
+    if (cancellationIgnored) {
+      recommendations.push({
+        type: 'protocol',
+        severity: 'warning',
+        message: 'Server keeps working on cancelled requests',
+        suggestion: CANCELLATION_HINT
+      });
+    }
+
+    const polluted = this.results.filter(r =>
+      r.tests?.some(t => t.errorCode === 'STDOUT_POLLUTION')
+    );
+    if (polluted.length > 0) {
+      recommendations.push({
+        type: 'protocol',
+        severity: 'error',
+        message: 'stdio server writes non-JSON-RPC output to stdout',
+        suggestion: POLLUTION_HINT
+      });
+    }
+
     // Check stability
     const unstableTests = this.results.flatMap(r => 
       r.tests?.filter(t => 
@@ -1061,6 +2787,26 @@ class MCPTestFrameworkAdvanced {
       }
     }
 
+    // Several servers in one run (e.g. from a client config file)
+    if (new Set(report.results.map(r => r.name)).size > 1) {
+      console.log(`\n🖥️  By Server:`);
+      for (const result of report.results) {
+        const icon = result.status === 'passed' ? '✅' : '❌';
+        const passed = result.tests.filter(t => t.status === 'passed').length;
+        console.log(`   ${icon} ${result.name} (${result.transport}): ${passed}/${result.tests.length} tests passed`);
+      }
+    }
+
+    this.printServerLogsAroundFailures(report);
+
+    const resourceReads = report.results.flatMap(r => r.resources || []);
+    if (resourceReads.length > 0) {
+      const totalBytes = resourceReads.reduce((acc, r) => acc + (r.size || 0), 0);
+      const avgLatency = Math.round(resourceReads.reduce((acc, r) => acc + r.duration, 0) / resourceReads.length);
+      console.log(`\n📦 Resources Read: ${resourceReads.filter(r => r.status === 'passed').length}/${resourceReads.length}`);
+      console.log(`   Total Size: ${totalBytes} bytes, Avg Latency: ${avgLatency}ms`);
+    }
+
     if (report.recommendations && report.recommendations.length > 0) {
       console.log(`\n💡 Recommendations:`);
       report.recommendations.forEach(rec => {
@@ -1076,6 +2822,42 @@ class MCPTestFrameworkAdvanced {
     console.log('\n' + '='.repeat(50));
   }
 
+  /**
+   * Server output (stdio stderr, or the logs of a `serve` process) written
+   * during each failing test, or before a failed suite
+   */
+  printServerLogsAroundFailures(report) {
+    const sections = [];
+    for (const result of report.results) {
+      const logs = [...(result.stderr || result.serverLogs || []), ...(result.logMessages || [])]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      if (!logs.length) continue;
+      for (const test of result.tests || []) {
+        if (test.status === 'failed') {
+          sections.push({ title: `${result.name} › ${test.name}`, lines: logsAround(logs, test) });
+        }
+      }
+      if (result.status === 'failed') {
+        sections.push({ title: `${result.name} (suite failed)`, lines: logs.slice(-10) });
+      }
+    }
+
+    // Neighbouring failures often share lines; show each line once
+    const shown = new Set();
+    const withLines = sections
+      .map(section => ({ ...section, lines: section.lines.filter(entry => !shown.has(entry) && shown.add(entry)) }))
+      .filter(section => section.lines.length > 0);
+    if (withLines.length === 0) return;
+
+    console.log(`\n📜 Server logs around failures:`);
+    for (const { title, lines } of withLines) {
+      console.log(`   ✗ ${title}`);
+      for (const entry of lines) {
+        console.log(`      ${entry.timestamp.slice(11, 23)} ${entry.level ? `[${entry.level}] ` : ''}${entry.line}`);
+      }
+    }
+  }
+
   /**
    * Test multiple server configurations
    */
@@ -1091,18 +2873,236 @@ class MCPTestFrameworkAdvanced {
 }
 
 // Export for use as a library
-module.exports = { MCPTestFrameworkAdvanced };
+module.exports = { MCPTestFrameworkAdvanced, runCli };
 
-// CLI interface (backward compatible)
-if (require.main === module) {
-  const args = process.argv.slice(2);
+// Tester flags that take a value, which must not be passed on to a stdio server
+const CLI_VALUE_FLAGS = ['--timeout', '--retry', '--max-resources', '--fuzz-runs', '--fuzz-seed', '--reporter', '--output', '--header', '--auth', '--watch', '--cancellation'];
+
+/**
+ * Collect `--reporter <name>` flags; an `--output <file>` applies to the
+ * reporter named before it (or to the default json reporter)
+ */
+function parseReporterArgs(args) {
+  const reporters = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--reporter' && args[i + 1]) {
+      reporters.push({ name: args[++i] });
+    } else if (args[i] === '--output' && args[i + 1]) {
+      if (reporters.length === 0) reporters.push({ name: 'json' });
+      reporters[reporters.length - 1].output = args[++i];
+    }
+  }
+
+  // Fail before any server is started
+  for (const { name } of reporters) {
+    getReporter(name);
+  }
+  return reporters.length > 0 ? reporters : undefined;
+}
+
+/**
+ * `--watch [glob]`: the glob, true when given without one, or null
+ */
+function parseWatchArg(args) {
+  const index = args.indexOf('--watch');
+  if (index === -1) return null;
+  const value = args[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+}
+
+/**
+ * Framework options and `tests` from the test selection flags shared by
+ * ad-hoc runs and `config`; throws on an unknown reporter
+ */
+function parseTestArgs(args) {
+  const verbose = args.includes('--verbose');
+  const performance = args.includes('--performance');
+  const compliance = args.includes('--compliance');
+  const errorHandling = args.includes('--error-handling');
+  const resources = args.includes('--resources');
+  const prompts = args.includes('--prompts');
+  const smokeAllTools = args.includes('--smoke-all-tools');
+  const trace = args.includes('--trace');
+  const updateSnapshots = args.includes('--update-snapshots');
+  const includeDestructive = args.includes('--include-destructive');
+  const stdoutCheck = args.includes('--stdout-check');
+  
+  let fuzz = false;
+  if (args.includes('--fuzz')) {
+    fuzz = { includeDestructive };
+    const fuzzRunsIndex = args.indexOf('--fuzz-runs');
+    if (fuzzRunsIndex !== -1 && args[fuzzRunsIndex + 1]) {
+      fuzz.runs = parseInt(args[fuzzRunsIndex + 1]);
+    }
+    const fuzzSeedIndex = args.indexOf('--fuzz-seed');
+    if (fuzzSeedIndex !== -1 && args[fuzzSeedIndex + 1]) {
+      fuzz.seed = parseInt(args[fuzzSeedIndex + 1]);
+    }
+  }
+  
+  let maxResources = 20;
+  const maxResourcesIndex = args.indexOf('--max-resources');
+  if (maxResourcesIndex !== -1 && args[maxResourcesIndex + 1]) {
+    maxResources = parseInt(args[maxResourcesIndex + 1]);
+  }
   
+  let timeout = 30000;
+  const timeoutIndex = args.indexOf('--timeout');
+  if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
+    timeout = parseInt(args[timeoutIndex + 1]);
+  }
+  
+  let retryAttempts = 0;
+  const retryIndex = args.indexOf('--retry');
+  if (retryIndex !== -1 && args[retryIndex + 1]) {
+    retryAttempts = parseInt(args[retryIndex + 1]);
+  }
+
+  const logging = args.includes('--logging');
+
+  let cancellation = false;
+  const cancellationIndex = args.indexOf('--cancellation');
+  if (cancellationIndex !== -1 && args[cancellationIndex + 1]) {
+    cancellation = { toolName: args[cancellationIndex + 1] };
+  }
+
+  const reporters = parseReporterArgs(args);
+
+  const frameworkOptions = {
+    verbose,
+    timeout,
+    retryAttempts,
+    reporters,
+    trace,
+    updateSnapshots
+  };
+
+  const tests = {
+    name: 'MCP Server Comprehensive Test Suite',
+    testDiscovery: true,
+    testStability: true,
+    testStdoutPollution: stdoutCheck,
+    testPerformance: performance,
+    testProtocolCompliance: compliance,
+    testErrorHandling: errorHandling,
+    testLogging: logging,
+    testCancellation: cancellation,
+    testResources: resources && { maxReads: maxResources },
+    testPrompts: prompts,
+    smokeAllTools: smokeAllTools && { includeDestructive },
+    fuzz
+  };
+
+  return { frameworkOptions, tests };
+}
+
+/**
+ * Probe a URL to pick sse or streamableHttp
+ * @param {Function} log - Progress output
+ * @returns {Promise<string>} The transport type
+ */
+async function detectUrlTransport(url, log = console.log) {
+  const { detectTransport, verifyTransport } = require('./auto-detect-transport.js');
+  log('🔍 Auto-detecting transport type...');
+
+  const detected = await detectTransport(url);
+  if (detected.transport === 'unknown') {
+    throw new MCPTestError(`Could not detect transport: ${detected.reason}`, 'INVALID_TRANSPORT');
+  }
+
+  log(`📡 Initial detection: ${detected.transport} (${detected.confidence}% confidence)`);
+
+  const verified = await verifyTransport(url, detected.transport);
+  if (!verified) {
+    throw new MCPTestError('Could not verify transport type', 'INVALID_TRANSPORT');
+  }
+  log(`✅ Confirmed transport: ${verified.transport}\n`);
+  return verified.transport;
+}
+
+/**
+ * Build a transport config from `<transport-type> <config...> [options]`
+ * arguments; `auto` probes the URL to pick sse or streamableHttp
+ * @param {Function} log - Progress output of auto-detection
+ */
+async function parseTransportArgs(args, log = console.log) {
+  const transportType = args[0];
+  const transportConfig = { type: transportType };
+
+  // Handle auto-detection
+  if (transportType === 'auto') {
+    if (!args[1]) {
+      throw new MCPTestError('URL required for auto transport detection', 'INVALID_CONFIG');
+    }
+
+    transportConfig.type = await detectUrlTransport(args[1], log);
+    transportConfig.url = args[1];
+    transportConfig.headers = {};
+  }
+  // Parse transport-specific configuration
+  else if (transportType === 'stdio') {
+    transportConfig.command = args[1];
+    transportConfig.args = args.slice(2).filter((arg, i, rest) => 
+      !arg.startsWith('--') && arg !== transportConfig.command &&
+      !CLI_VALUE_FLAGS.includes(rest[i - 1])
+    );
+  } else if (transportType === 'sse' || transportType === 'streamableHttp') {
+    transportConfig.url = args[1];
+    transportConfig.headers = {};
+  }
+
+  if (transportConfig.url) {
+    // Parse headers
+    for (let i = 2; i < args.length; i++) {
+      if (args[i] === '--header' && i + 1 < args.length) {
+        const headerMatch = args[i + 1].match(/^([^:]+):\s*(.+)$/);
+        if (headerMatch) {
+          transportConfig.headers[headerMatch[1]] = headerMatch[2];
+        }
+        i++;
+      } else if (args[i] === '--auth' && i + 1 < args.length) {
+        transportConfig.headers['Authorization'] = `Bearer ${args[i + 1]}`;
+        i++;
+      }
+    }
+  }
+
+  return transportConfig;
+}
+
+/**
+ * CLI interface (backward compatible), shared by bin/mcp-tester and index.js
+ */
+function runCli(args) {
+  if (args[0] === 'run' && !args.includes('--help') && !args.includes('-h')) {
+    return runSuiteFileCommand(args.slice(1));
+  }
+  if (args[0] === 'mock' && !args.includes('--help') && !args.includes('-h')) {
+    return runMockCommand(args.slice(1));
+  }
+  if (args[0] === 'repl' && !args.includes('--help') && !args.includes('-h')) {
+    return runReplCommand(args.slice(1));
+  }
+  if (['call', 'read', 'list'].includes(args[0]) && !args.includes('--help') && !args.includes('-h')) {
+    return runOneShotCommand(args[0], args.slice(1));
+  }
+  if (args[0] === 'config' && !args.includes('--help') && !args.includes('-h')) {
+    return runConfigCommand(args.slice(1));
+  }
+
   if (args.length < 1 || args.includes('--help') || args.includes('-h')) {
     console.log(`
 🧪 MCP Test Framework v2.1.1
 
 USAGE:
   mcp-test-framework-advanced <transport-type> <config...> [options]
+  mcp-test-framework-advanced run <suite.yaml|suite.json> [options]
+  mcp-test-framework-advanced config <mcp-config.json> [server-name] [options]
+  mcp-test-framework-advanced mock <trace.jsonl> [mock options]
+  mcp-test-framework-advanced repl <transport-type> <config...>
+  mcp-test-framework-advanced call <transport-type> <config...> -- <tool> [json]
+  mcp-test-framework-advanced read <transport-type> <config...> -- <uri>
+  mcp-test-framework-advanced list <tools|resources|templates|prompts> <transport-type> <config...>
 
 TRANSPORT TYPES:
   auto <url>                          Auto-detect transport type
@@ -1117,110 +3117,99 @@ OPTIONS:
   --performance           Run performance tests
   --compliance            Run protocol compliance tests
   --error-handling        Run error handling tests
+  --logging               Check logging/setLevel and the log messages at each level
+  --cancellation <tool>   Cancel a slow call of <tool> and check the server stops
+  --resources             Read every resource and resource template
+  --prompts               Get every prompt and check argument handling
+  --smoke-all-tools       Call every tool once with schema-generated arguments
+  --include-destructive   Also call tools annotated as destructive
+  --fuzz                  Fuzz every tool with random valid and invalid inputs
+  --fuzz-runs <n>         Inputs per tool when fuzzing (default: 100)
+  --fuzz-seed <n>         Replay a fuzz run with the same seed
+  --max-resources <n>     Cap on resources and templates read (default: 20)
+  --reporter <name>       Report format: json (default), junit or html
+  --output <file>         Write the report to <file> instead of ./test-results/
+  --trace                 Also save all JSON-RPC traffic as a .jsonl trace
+  --update-snapshots      Rewrite stored snapshots with the current tool output
+  --stdout-check          Check a stdio server for non-JSON-RPC output on stdout
+  --watch [glob]          Re-run on file changes (default: the stdio server's directory)
   --header "Key: Value"   Add HTTP header
   --auth "token"          Add auth token
 
+MOCK OPTIONS:
+  --http <port>           Serve StreamableHTTP on <port> instead of stdio
+  --unmatched <mode>      Unrecorded requests: error (default), nearest, passthrough
+  --upstream <server>     Real server for passthrough: a URL or a stdio command line
+
+CALL / READ / LIST OPTIONS:
+  --json                  Print the result as indented JSON
+  --raw                   Print the result as single-line JSON
+  --no-validate           Send tool arguments that fail the input schema
+  Exit code is 1 if the request fails or the tool returns isError, 2 on bad usage
+
 EXAMPLES:
   mcp-test-framework-advanced auto http://localhost:3000/mcp --verbose
   mcp-test-framework-advanced stdio node ./server.js --performance
   mcp-test-framework-advanced sse http://localhost:3000 --header "Authorization: Bearer xyz"
+  mcp-test-framework-advanced run ./suites/smoke.yaml --verbose
+  mcp-test-framework-advanced config .vscode/mcp.json github --prompts
+  mcp-test-framework-advanced stdio node ./src/server.js --watch "src/**/*.js"
+  mcp-test-framework-advanced run ./suites/smoke.yaml --reporter junit --output junit.xml
+  mcp-test-framework-advanced mock ./test-results/mcp-trace-1700000000000.jsonl --http 3001
+  mcp-test-framework-advanced repl stdio node ./server.js
+  mcp-test-framework-advanced call stdio node ./server.js -- add '{"a":1,"b":2}'
+  mcp-test-framework-advanced list tools streamableHttp http://localhost:3000/mcp --json
 
 OUTPUT:
-  Test results are saved to ./test-results/ as JSON files
+  Test results are saved to ./test-results/ as JSON files (see --reporter)
 `);
     process.exit(0);
   }
 
-  const verbose = args.includes('--verbose');
-  const performance = args.includes('--performance');
-  const compliance = args.includes('--compliance');
-  const errorHandling = args.includes('--error-handling');
-  
-  let timeout = 30000;
-  const timeoutIndex = args.indexOf('--timeout');
-  if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
-    timeout = parseInt(args[timeoutIndex + 1]);
-  }
-  
-  let retryAttempts = 0;
-  const retryIndex = args.indexOf('--retry');
-  if (retryIndex !== -1 && args[retryIndex + 1]) {
-    retryAttempts = parseInt(args[retryIndex + 1]);
+  let parsed;
+  try {
+    parsed = parseTestArgs(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
+  const { frameworkOptions, tests } = parsed;
+  const { verbose, reporters } = frameworkOptions;
+
+  const watch = parseWatchArg(args);
 
-  const transportType = args[0];
-  
   (async () => {
-    let transportConfig = { type: transportType };
-    
-    // Handle auto-detection
-    if (transportType === 'auto') {
-      if (!args[1]) {
-        console.error('Error: URL required for auto transport detection');
-        process.exit(1);
-      }
-      
-      const { detectTransport, verifyTransport } = require('./auto-detect-transport.js');
-      console.log('🔍 Auto-detecting transport type...');
-      
-      const detected = await detectTransport(args[1]);
-      if (detected.transport === 'unknown') {
-        console.error(`❌ Could not detect transport: ${detected.reason}`);
+    let transportConfig;
+    try {
+      transportConfig = await parseTransportArgs(args);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    if (watch) {
+      const target = watch === true ? defaultWatchTarget(transportConfig) : watch;
+      if (!target) {
+        console.error('❌ --watch needs a glob unless the server is a stdio script, e.g. --watch "src/**/*.js"');
         process.exit(1);
       }
-      
-      console.log(`📡 Initial detection: ${detected.transport} (${detected.confidence}% confidence)`);
-      
-      const verified = await verifyTransport(args[1], detected.transport);
-      if (verified) {
-        transportConfig.type = verified.transport;
-        transportConfig.url = args[1];
-        transportConfig.headers = {};
-        console.log(`✅ Confirmed transport: ${verified.transport}\n`);
-      } else {
-        console.error('❌ Could not verify transport type');
+      try {
+        await watchAndRun([target], async () => {
+          // Reports are only written in watch mode when asked for
+          const framework = new MCPTestFrameworkAdvanced({ ...frameworkOptions, reporters: reporters || [] });
+          await framework.testServer(transportConfig, tests);
+          const report = await framework.generateReport();
+          if (verbose) framework.printSummary(report);
+          return report;
+        });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
         process.exit(1);
       }
-    }
-    // Parse transport-specific configuration
-    else if (transportType === 'stdio') {
-      transportConfig.command = args[1];
-      transportConfig.args = args.slice(2).filter(arg => 
-        !arg.startsWith('--') && arg !== transportConfig.command
-      );
-    } else if (transportType === 'sse' || transportType === 'streamableHttp') {
-      transportConfig.url = args[1];
-      transportConfig.headers = {};
-      
-      // Parse headers
-      for (let i = 2; i < args.length; i++) {
-        if (args[i] === '--header' && i + 1 < args.length) {
-          const headerMatch = args[i + 1].match(/^([^:]+):\s*(.+)$/);
-          if (headerMatch) {
-            transportConfig.headers[headerMatch[1]] = headerMatch[2];
-          }
-          i++;
-        } else if (args[i] === '--auth' && i + 1 < args.length) {
-          transportConfig.headers['Authorization'] = `Bearer ${args[i + 1]}`;
-          i++;
-        }
-      }
+      return;
     }
 
-    const framework = new MCPTestFrameworkAdvanced({ 
-      verbose, 
-      timeout,
-      retryAttempts 
-    });
-    
-    const tests = {
-      name: 'MCP Server Comprehensive Test Suite',
-      testDiscovery: true,
-      testStability: true,
-      testPerformance: performance,
-      testProtocolCompliance: compliance,
-      testErrorHandling: errorHandling
-    };
+    const framework = new MCPTestFrameworkAdvanced(frameworkOptions);
     
     try {
       await framework.testServer(transportConfig, tests);
@@ -1236,4 +3225,314 @@ OUTPUT:
       process.exit(1);
     }
   })();
-}
\ No newline at end of file
+}
+
+/**
+ * `run <suite-file>`: execute a declarative YAML/JSON suite
+ */
+async function runSuiteFileCommand(args) {
+  const suitePath = args[0];
+  if (!suitePath || suitePath.startsWith('--')) {
+    console.error('Error: suite file required, e.g. mcp-tester run ./suite.yaml');
+    process.exit(1);
+  }
+
+  // Command line flags override the suite file's "options" block
+  const overrides = {};
+  if (args.includes('--verbose')) {
+    overrides.verbose = true;
+  }
+  if (args.includes('--trace')) {
+    overrides.trace = true;
+  }
+  if (args.includes('--update-snapshots')) {
+    overrides.updateSnapshots = true;
+  }
+  const timeoutIndex = args.indexOf('--timeout');
+  if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
+    overrides.timeout = parseInt(args[timeoutIndex + 1]);
+  }
+  const retryIndex = args.indexOf('--retry');
+  if (retryIndex !== -1 && args[retryIndex + 1]) {
+    overrides.retryAttempts = parseInt(args[retryIndex + 1]);
+  }
+
+  try {
+    const reporters = parseReporterArgs(args);
+    if (reporters) {
+      overrides.reporters = reporters;
+    }
+
+    const { loadSuiteFile } = require('./suite-file.js');
+    const suite = await loadSuiteFile(suitePath);
+
+    const watch = parseWatchArg(args);
+    if (watch) {
+      // The suite file itself is watched too, and reloaded by every run
+      const target = watch === true
+        ? suite.transports.map(defaultWatchTarget).find(Boolean)
+        : watch;
+      if (!target) {
+        console.error('❌ --watch needs a glob unless the suite starts a server script (stdio or serve), e.g. --watch "src/**/*.js"');
+        process.exit(1);
+      }
+      try {
+        await watchAndRun([target, suitePath], async () => {
+          const current = await loadSuiteFile(suitePath);
+          const framework = new MCPTestFrameworkAdvanced({
+            ...current.options,
+            reporters: [],
+            ...overrides
+          });
+          for (const transportConfig of current.transports) {
+            await framework.testServer(transportConfig, current.tests);
+          }
+          const report = await framework.generateReport();
+          if (framework.options.verbose) framework.printSummary(report);
+          return report;
+        });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      return;
+    }
+
+    const framework = new MCPTestFrameworkAdvanced({ ...suite.options, ...overrides });
+
+    for (const transportConfig of suite.transports) {
+      await framework.testServer(transportConfig, suite.tests);
+    }
+
+    const report = await framework.generateReport();
+    framework.printSummary(report);
+
+    // A suite file states expectations, so any failing test fails the run
+    process.exit(report.summary.failed > 0 || report.summary.failedTests > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Test framework error:', error.message);
+    if (overrides.verbose && error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * `config <file> [server]`: test the servers of a Claude Desktop, VS Code
+ * or Cursor MCP config file, with one report across all of them
+ */
+async function runConfigCommand(args) {
+  const configPath = args[0];
+  if (!configPath || configPath.startsWith('--')) {
+    console.error('Error: config file required, e.g. mcp-tester config .cursor/mcp.json');
+    process.exit(1);
+  }
+  const serverName = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+
+  let parsed;
+  try {
+    parsed = parseTestArgs(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const { frameworkOptions, tests } = parsed;
+
+  try {
+    const { loadClientConfig } = require('./client-config.js');
+    const servers = await loadClientConfig(configPath, serverName);
+    if (servers.length === 0) {
+      console.error(`❌ ${configPath} declares no enabled servers`);
+      process.exit(1);
+    }
+
+    const framework = new MCPTestFrameworkAdvanced(frameworkOptions);
+    console.log(`\n🔄 Testing ${servers.length} server${servers.length === 1 ? '' : 's'} from ${configPath}...\n`);
+
+    // Servers the config describes wrongly are reported, not tested
+    const unusable = servers.filter(server => server.error);
+    for (const server of unusable) {
+      console.error(`❌ ${server.error}`);
+    }
+
+    for (const { name, transportConfig } of servers.filter(server => !server.error)) {
+      if (transportConfig.type === 'auto') {
+        try {
+          transportConfig.type = await detectUrlTransport(transportConfig.url);
+        } catch (error) {
+          // The suite then reports why the server cannot be reached
+          console.log(`⚠️  ${name}: ${error.message}; trying streamableHttp`);
+          transportConfig.type = 'streamableHttp';
+        }
+      }
+      await framework.testServer(transportConfig, { ...tests, name });
+    }
+
+    const report = await framework.generateReport();
+    framework.printSummary(report);
+
+    process.exit(report.summary.failed > 0 || unusable.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Test framework error:', error.message);
+    if (frameworkOptions.verbose && error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * `mock <trace.jsonl>`: replay a recorded trace as an MCP server
+ */
+async function runMockCommand(args) {
+  const tracePath = args[0];
+  if (!tracePath || tracePath.startsWith('--')) {
+    console.error('Error: trace file required, e.g. mcp-tester mock ./test-results/mcp-trace-123.jsonl');
+    process.exit(1);
+  }
+
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const verbose = args.includes('--verbose');
+  const port = valueOf('--http');
+  const upstream = valueOf('--upstream');
+
+  let upstreamConfig;
+  if (upstream) {
+    const [command, ...commandArgs] = upstream.trim().split(/\s+/);
+    upstreamConfig = /^https?:\/\//.test(upstream)
+      ? { type: 'streamableHttp', url: upstream, headers: {} }
+      : { type: 'stdio', command, args: commandArgs };
+  }
+
+  try {
+    const { startMockServer } = require('./mock-server.js');
+    const mock = await startMockServer(tracePath, {
+      http: port !== undefined ? parseInt(port) : undefined,
+      unmatched: valueOf('--unmatched'),
+      // stdout carries the protocol in stdio mode, so log to stderr
+      log: verbose ? (message) => console.error(`[mock] ${message}`) : undefined,
+      connectUpstream: upstreamConfig && (async () => {
+        const framework = new MCPTestFrameworkAdvanced({ recordTraffic: false, captureStderr: false });
+        const client = new Client({ name: 'mcp-tester-mock', version: '2.0.0' }, { capabilities: {} });
+        await client.connect(await framework.createTransport(upstreamConfig));
+        return client;
+      })
+    });
+
+    const recorded = [...mock.replay.methods.values()].reduce((acc, list) => acc + list.length, 0);
+    if (mock.port) {
+      console.error(`🎭 Mock MCP server replaying ${recorded} recorded requests on http://localhost:${mock.port}/mcp`);
+    } else {
+      console.error(`🎭 Mock MCP server replaying ${recorded} recorded requests on stdio`);
+      process.stdin.on('end', () => process.exit(0));
+    }
+  } catch (error) {
+    console.error('❌ Mock server error:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Framework for commands that talk to a server from the terminal (repl,
+ * call, read, list) and write no report: without one to hold traffic or
+ * server stderr, server errors go straight to the terminal
+ */
+function createTerminalFramework(args) {
+  let timeout = 30000;
+  const timeoutIndex = args.indexOf('--timeout');
+  if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
+    timeout = parseInt(args[timeoutIndex + 1]);
+  }
+
+  return new MCPTestFrameworkAdvanced({
+    verbose: args.includes('--verbose'),
+    timeout,
+    recordTraffic: false,
+    captureStderr: false
+  });
+}
+
+/**
+ * `repl <transport-type> <config...>`: explore a server interactively
+ */
+async function runReplCommand(args) {
+  let transportConfig;
+  try {
+    transportConfig = await parseTransportArgs(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const framework = createTerminalFramework(args);
+
+  try {
+    const { McpRepl } = require('./repl.js');
+    await new McpRepl(framework, transportConfig).start();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ REPL error:', error.message);
+    process.exit(1);
+  }
+}
+
+const ONE_SHOT_FLAGS = ['--json', '--raw', '--no-validate', '--verbose'];
+
+/**
+ * `call`, `read` and `list`: make one request and print the result
+ *   call <transport-type> <config...> -- <tool> [json]
+ *   read <transport-type> <config...> -- <uri>
+ *   list <kind> <transport-type> <config...>
+ */
+async function runOneShotCommand(command, args) {
+  const usage = {
+    call: 'call <transport-type> <config...> -- <tool> [json]',
+    read: 'read <transport-type> <config...> -- <uri>',
+    list: 'list <tools|resources|templates|prompts> <transport-type> <config...>'
+  }[command];
+
+  let transportArgs;
+  let operands;
+  if (command === 'list') {
+    operands = args.slice(0, 1);
+    transportArgs = args.slice(1);
+  } else {
+    const separator = args.indexOf('--');
+    if (separator === -1) {
+      console.error(`Error: separate the ${command === 'call' ? 'tool' : 'URI'} from the server with --\nUsage: mcp-tester ${usage}`);
+      process.exit(2);
+    }
+    transportArgs = args.slice(0, separator);
+    operands = args.slice(separator + 1).filter(arg => !ONE_SHOT_FLAGS.includes(arg));
+  }
+  if (!transportArgs[0]) {
+    console.error(`Error: transport required\nUsage: mcp-tester ${usage}`);
+    process.exit(2);
+  }
+
+  let transportConfig;
+  try {
+    // stdout carries the result, so keep auto-detection output off it
+    transportConfig = await parseTransportArgs(transportArgs, console.error);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const framework = createTerminalFramework(args);
+
+  const { runOneShot } = require('./one-shot-commands.js');
+  const exitCode = await runOneShot(framework, transportConfig, command, operands, {
+    format: args.includes('--raw') ? 'raw' : args.includes('--json') ? 'json' : 'pretty',
+    validate: !args.includes('--no-validate')
+  });
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2));
+}
@@ -0,0 +1,311 @@
+/**
+ * Record-and-replay mock MCP server
+ *
+ * Serves the responses captured in a traffic trace (see --trace) so
+ * clients and CI can run without the real backend. Requests are matched by
+ * method and parameters; repeated recordings of the same request are
+ * replayed in order.
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { ErrorCode, ResultSchema, isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const UNMATCHED_MODES = ['error', 'nearest', 'passthrough'];
+
+// Handled by the SDK server itself rather than replayed
+const PROTOCOL_METHODS = ['initialize', 'ping'];
+
+/**
+ * JSON with sorted keys, so equal params give equal keys
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Params without _meta (progress tokens differ between runs)
+ */
+function matchableParams(params) {
+  if (!params || typeof params !== 'object') return {};
+  const { _meta, ...rest } = params;
+  return rest;
+}
+
+function flatten(value, prefix = '', into = {}) {
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0) into[prefix] = canonicalJson(value);
+    for (const key of keys) {
+      flatten(value[key], `${prefix}/${key}`, into);
+    }
+  } else {
+    into[prefix] = JSON.stringify(value);
+  }
+  return into;
+}
+
+/**
+ * Number of leaf values that differ between two params objects
+ */
+function paramsDistance(a, b) {
+  const left = flatten(a);
+  const right = flatten(b);
+  const paths = new Set([...Object.keys(left), ...Object.keys(right)]);
+  let distance = 0;
+  for (const p of paths) {
+    if (left[p] !== right[p]) distance++;
+  }
+  return distance;
+}
+
+class TraceReplay {
+  /**
+   * @param {Object[]} entries - Trace entries ({ direction, message, ... })
+   */
+  constructor(entries) {
+    this.recordings = new Map();
+    this.methods = new Map();
+    this.initializeResult = null;
+
+    let pending = new Map();
+    for (const { direction, message } of entries) {
+      if (!message || typeof message !== 'object') continue;
+
+      if (direction === 'sent' && message.method && message.id !== undefined) {
+        // Request ids restart with every connection
+        if (message.method === 'initialize') pending = new Map();
+        pending.set(message.id, message);
+      } else if (direction === 'received' && !message.method && pending.has(message.id)) {
+        const request = pending.get(message.id);
+        pending.delete(message.id);
+        this.add(request, message);
+      }
+    }
+  }
+
+  static async fromFile(tracePath) {
+    const raw = await fs.readFile(tracePath, 'utf8');
+    const entries = raw.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${tracePath}:${i + 1}: ${error.message}`);
+      }
+    });
+    return new TraceReplay(entries);
+  }
+
+  add(request, response) {
+    if (request.method === 'initialize') {
+      if (response.result) this.initializeResult = response.result;
+      return;
+    }
+    if (PROTOCOL_METHODS.includes(request.method)) return;
+
+    const params = matchableParams(request.params);
+    const key = `${request.method} ${canonicalJson(params)}`;
+    if (!this.recordings.has(key)) {
+      const recording = { method: request.method, params, responses: [], uses: 0 };
+      this.recordings.set(key, recording);
+      if (!this.methods.has(request.method)) this.methods.set(request.method, []);
+      this.methods.get(request.method).push(recording);
+    }
+    this.recordings.get(key).responses.push(response.error ? { error: response.error } : { result: response.result });
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @param {boolean} nearest - Fall back to the closest recording of the same method
+   * @returns {{response: Object, match: string}|null}
+   */
+  lookup(method, params, nearest = false) {
+    const wanted = matchableParams(params);
+    let recording = this.recordings.get(`${method} ${canonicalJson(wanted)}`);
+    let match = 'exact';
+
+    if (!recording && nearest && this.methods.has(method)) {
+      recording = this.methods.get(method)
+        .map(candidate => ({ candidate, distance: paramsDistance(candidate.params, wanted) }))
+        .sort((a, b) => a.distance - b.distance)[0].candidate;
+      match = 'nearest';
+    }
+    if (!recording) return null;
+
+    // Replay repeated recordings in order, then keep returning the last
+    const response = recording.responses[Math.min(recording.uses, recording.responses.length - 1)];
+    recording.uses++;
+    return { response, match };
+  }
+
+  /**
+   * serverInfo and capabilities from the recorded initialize, or inferred
+   * from the recorded methods
+   */
+  serverDetails() {
+    if (this.initializeResult) {
+      return {
+        serverInfo: this.initializeResult.serverInfo || { name: 'mcp-tester-mock', version: '1.0.0' },
+        capabilities: this.initializeResult.capabilities || {},
+        instructions: this.initializeResult.instructions
+      };
+    }
+
+    const capabilities = {};
+    for (const method of this.methods.keys()) {
+      const area = method.split('/')[0];
+      if (['tools', 'resources', 'prompts'].includes(area)) capabilities[area] = {};
+      if (method === 'logging/setLevel') capabilities.logging = {};
+      if (method === 'completion/complete') capabilities.completions = {};
+    }
+    return { serverInfo: { name: 'mcp-tester-mock', version: '1.0.0' }, capabilities };
+  }
+}
+
+function replayError(error) {
+  // Keep the recorded message as is (McpError would prefix it)
+  const replayed = new Error(error.message);
+  replayed.code = error.code;
+  return replayed;
+}
+
+/**
+ * Build an SDK server that answers from a replay
+ * @param {TraceReplay} replay
+ * @param {Object} options - { unmatched: 'error', connectUpstream, log }
+ */
+function createMockServer(replay, options = {}) {
+  const unmatched = options.unmatched || 'error';
+  const log = options.log || (() => {});
+  const { serverInfo, capabilities, instructions } = replay.serverDetails();
+  const server = new Server(serverInfo, { capabilities, instructions });
+
+  server.fallbackRequestHandler = async (request) => {
+    const found = replay.lookup(request.method, request.params, unmatched === 'nearest');
+
+    if (found) {
+      log(`${found.match === 'exact' ? 'replay' : 'nearest'} ${request.method}`);
+      if (found.response.error) throw replayError(found.response.error);
+      return found.response.result;
+    }
+
+    if (unmatched === 'passthrough') {
+      log(`passthrough ${request.method}`);
+      const upstream = await options.connectUpstream();
+      return upstream.request({ method: request.method, params: request.params }, ResultSchema);
+    }
+
+    log(`unmatched ${request.method} ${canonicalJson(matchableParams(request.params))}`);
+    const error = new Error(replay.methods.has(request.method)
+      ? `No recorded response for ${request.method} with params ${canonicalJson(matchableParams(request.params))}`
+      : `No recorded responses for ${request.method}`);
+    error.code = replay.methods.has(request.method) ? ErrorCode.InvalidParams : ErrorCode.MethodNotFound;
+    throw error;
+  };
+
+  return server;
+}
+
+/**
+ * Start a mock server for a trace file
+ * @param {string} tracePath - JSONL trace written with --trace
+ * @param {Object} options - { http: port, unmatched, connectUpstream, log }
+ * @returns {Promise<{close: Function, port?: number, replay: TraceReplay}>}
+ */
+async function startMockServer(tracePath, options = {}) {
+  const unmatched = options.unmatched || 'error';
+  if (!UNMATCHED_MODES.includes(unmatched)) {
+    throw new Error(`Unknown unmatched mode "${unmatched}" (use ${UNMATCHED_MODES.join(', ')})`);
+  }
+  if (unmatched === 'passthrough' && !options.connectUpstream) {
+    throw new Error('passthrough needs an upstream server');
+  }
+
+  const replay = await TraceReplay.fromFile(tracePath);
+
+  // One upstream connection shared by every session; a failed connect is
+  // forgotten so the next passthrough request tries again
+  let upstream;
+  const serverOptions = {
+    ...options,
+    unmatched,
+    connectUpstream: async () => {
+      if (!upstream) {
+        upstream = Promise.resolve().then(() => options.connectUpstream());
+        upstream.catch(() => { upstream = null; });
+      }
+      return upstream;
+    }
+  };
+
+  if (!options.http) {
+    const server = createMockServer(replay, serverOptions);
+    await server.connect(new StdioServerTransport());
+    return { replay, close: () => server.close() };
+  }
+
+  const sessions = {};
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : undefined;
+      } catch {
+        parsed = undefined;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId && sessions[sessionId];
+      if (!transport && req.method === 'POST' && parsed && isInitializeRequest(parsed)) {
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => { sessions[id] = transport; }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) delete sessions[transport.sessionId];
+        };
+        await createMockServer(replay, serverOptions).connect(transport);
+      }
+
+      if (!transport) {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: 'Bad Request: No valid session ID provided' },
+          id: null
+        }));
+        return;
+      }
+      await transport.handleRequest(req, res, parsed === undefined && body ? body : parsed);
+    } catch (error) {
+      if (!res.headersSent) res.writeHead(500).end(error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.http, resolve);
+  });
+
+  return {
+    replay,
+    port: httpServer.address().port,
+    close: () => new Promise(resolve => {
+      for (const transport of Object.values(sessions)) transport.close();
+      httpServer.close(resolve);
+    })
+  };
+}
+
+module.exports = { TraceReplay, createMockServer, startMockServer };
@@ -0,0 +1,155 @@
+/**
+ * One-shot `call`, `read` and `list` commands
+ *
+ * Each connects, makes a single request, prints the outcome and
+ * disconnects, so debugging a server needs no throwaway script.
+ */
+
+const { CallToolResultSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  describeTool,
+  describeResource,
+  describeTemplate,
+  describePrompt,
+  printToolResult,
+  printResourceContents
+} = require('./result-format.js');
+
+// Exit codes: the request failed or the tool returned isError, or the
+// command line / arguments were wrong
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const LIST_KINDS = {
+  tools: { capability: 'tools', list: client => client.listTools(), key: 'tools', describe: describeTool },
+  resources: { capability: 'resources', list: client => client.listResources(), key: 'resources', describe: describeResource },
+  templates: { capability: 'resources', list: client => client.listResourceTemplates(), key: 'resourceTemplates', describe: describeTemplate },
+  prompts: { capability: 'prompts', list: client => client.listPrompts(), key: 'prompts', describe: describePrompt }
+};
+
+class UsageError extends Error {}
+
+function printJson(value, format) {
+  console.log(format === 'raw' ? JSON.stringify(value) : JSON.stringify(value, null, 2));
+}
+
+/**
+ * Parse the arguments operand of `call`; several words are joined so
+ * unquoted JSON survives the shell splitting it
+ */
+function parseToolArguments(words) {
+  if (words.length === 0) return {};
+  const text = words.join(' ');
+  let args;
+  try {
+    args = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Tool arguments are not valid JSON: ${error.message}`);
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new UsageError('Tool arguments must be a JSON object');
+  }
+  return args;
+}
+
+async function callTool(framework, client, operands, options) {
+  const [toolName, ...rest] = operands;
+  if (!toolName) throw new UsageError('Tool name required');
+  const args = parseToolArguments(rest);
+
+  const { tools } = await client.listTools();
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool) {
+    throw new UsageError(`Unknown tool "${toolName}" (available: ${tools.map(t => t.name).join(', ') || 'none'})`);
+  }
+
+  if (options.validate && tool.inputSchema) {
+    const validation = framework.validateAgainstSchema(args, tool.inputSchema);
+    if (!validation.valid) {
+      throw new UsageError(`Arguments do not match the input schema of ${toolName} (use --no-validate to send them anyway):\n  ${validation.errors.join('\n  ')}`);
+    }
+  }
+
+  const callResult = await client.request({
+    method: 'tools/call',
+    params: { name: toolName, arguments: args }
+  }, CallToolResultSchema, { timeout: framework.options.timeout });
+
+  if (options.format === 'pretty') {
+    printToolResult(callResult);
+  } else {
+    printJson(callResult, options.format);
+  }
+  return callResult.isError ? EXIT_FAILED : 0;
+}
+
+async function readResource(framework, client, operands, options) {
+  const [uri] = operands;
+  if (!uri) throw new UsageError('Resource URI required');
+
+  const response = await client.readResource({ uri }, { timeout: framework.options.timeout });
+  if (options.format === 'pretty') {
+    printResourceContents(response);
+  } else {
+    printJson(response, options.format);
+  }
+  return 0;
+}
+
+async function listItems(framework, client, kind, options) {
+  const spec = LIST_KINDS[kind];
+  const items = client.getServerCapabilities()?.[spec.capability]
+    ? (await spec.list(client))[spec.key]
+    : [];
+
+  if (options.format === 'pretty') {
+    for (const item of items) {
+      console.log(spec.describe(item));
+    }
+    if (items.length === 0) console.log(`(no ${kind})`);
+  } else {
+    printJson(items, options.format);
+  }
+  return 0;
+}
+
+/**
+ * Run one command against a server
+ * @param {Object} framework - MCPTestFrameworkAdvanced instance
+ * @param {Object} transportConfig - Config passed to connectToServer()
+ * @param {string} command - 'call', 'read' or 'list'
+ * @param {string[]} operands - [tool, json...], [uri] or [kind]
+ * @param {Object} options - { format: 'pretty'|'json'|'raw', validate: true }
+ * @returns {Promise<number>} Process exit code
+ */
+async function runOneShot(framework, transportConfig, command, operands, options = {}) {
+  options = { format: 'pretty', validate: true, ...options };
+
+  if (command === 'list' && !LIST_KINDS[operands[0]]) {
+    console.error(`❌ list needs one of ${Object.keys(LIST_KINDS).join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  let client;
+  try {
+    ({ client } = await framework.connectToServer(transportConfig));
+
+    switch (command) {
+      case 'call':
+        return await callTool(framework, client, operands, options);
+      case 'read':
+        return await readResource(framework, client, operands, options);
+      case 'list':
+        return await listItems(framework, client, operands[0], options);
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+  } finally {
+    if (client) await client.close().catch(() => {});
+  }
+}
+
+module.exports = { runOneShot, LIST_KINDS };
@@ -0,0 +1,123 @@
+/**
+ * Progress notification checks for long-running tools
+ *
+ * A tool test with `progress: true` sends a progressToken with its call
+ * and collects every notifications/progress that arrives while it runs.
+ * The token is the tester's own, not one from the SDK's `onprogress`: the
+ * SDK forgets its token as soon as the result arrives but handles
+ * notifications a tick later, so the last one before the result would be
+ * lost. No SDK handler knows the tester's token, so every progress
+ * notification reaches watchUnmatchedMessages(), in arrival order.
+ */
+
+const { watchUnmatchedMessages } = require('./unmatched-messages.js');
+
+const PROGRESS_HINT = 'Send notifications/progress with the progressToken from the request\'s _meta, ' +
+  'an increasing "progress" value no larger than "total", and only before returning the result.';
+
+// How long to keep listening after the result for late notifications
+const DEFAULT_SETTLE_TIME = 100;
+
+let lastToken = 0;
+
+class ProgressTracker {
+  /**
+   * @param {Client} client - Connected SDK client
+   * @param {Object} options - { settle: 100 } ms to wait for late notifications
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.settle = options.settle ?? DEFAULT_SETTLE_TIME;
+    this.notifications = [];
+    this.resultReceived = false;
+  }
+
+  /**
+   * client.request() with a progress token; call stop() afterwards
+   */
+  async request(request, resultSchema, options = {}) {
+    this.token = `mcp-tester-progress-${++lastToken}`;
+    this.started = Date.now();
+    this.stopWatching = watchUnmatchedMessages(this.client, (kind, message) => {
+      if (kind !== 'progress') return;
+      const { progressToken, ...params } = message.params;
+      this.record(params, progressToken === this.token ? null : progressToken);
+    });
+
+    const params = { ...request.params, _meta: { ...request.params?._meta, progressToken: this.token } };
+    const result = await this.client.request({ ...request, params }, resultSchema, options);
+    this.resultReceived = true;
+    return result;
+  }
+
+  /**
+   * @param {string|number|null} strayToken - Token of a notification that
+   *   is not the request's, or null for the request's own token
+   */
+  record(params, strayToken) {
+    this.notifications.push({
+      progress: params.progress,
+      ...(params.total !== undefined ? { total: params.total } : {}),
+      ...(params.message !== undefined ? { message: params.message } : {}),
+      at: Date.now() - this.started,
+      ...(strayToken !== null ? { strayToken } : {}),
+      afterResult: this.resultReceived
+    });
+  }
+
+  /**
+   * Wait for late notifications and stop watching
+   */
+  async stop() {
+    if (this.resultReceived && this.settle > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.settle));
+    }
+    this.stopWatching?.();
+    return this.notifications;
+  }
+}
+
+/**
+ * Problems with the notifications collected by a ProgressTracker
+ * @param {Object[]} notifications - ProgressTracker#notifications
+ * @param {Object} options - { minNotifications: 1 }
+ * @returns {string[]} Empty when the progress reporting is correct
+ */
+function checkProgress(notifications, options = {}) {
+  const minNotifications = options.minNotifications ?? 1;
+  const problems = [];
+
+  const late = notifications.filter(n => n.afterResult);
+  const stray = notifications.filter(n => n.strayToken !== undefined && !n.afterResult);
+  const own = notifications.filter(n => n.strayToken === undefined && !n.afterResult);
+
+  if (own.length < minNotifications) {
+    problems.push(`Expected at least ${minNotifications} progress notification${minNotifications === 1 ? '' : 's'}, received ${own.length}`);
+  }
+  if (stray.length > 0) {
+    const tokens = [...new Set(stray.map(n => JSON.stringify(n.strayToken)))];
+    problems.push(`${stray.length} notification${stray.length === 1 ? '' : 's'} referenced a progressToken that was not sent: ${tokens.join(', ')}`);
+  }
+  if (late.length > 0) {
+    problems.push(`${late.length} notification${late.length === 1 ? '' : 's'} arrived after the result`);
+  }
+
+  own.forEach((notification, i) => {
+    const { progress, total } = notification;
+    if (typeof progress !== 'number') {
+      problems.push(`Notification ${i + 1} has no numeric "progress" (${JSON.stringify(progress)})`);
+      return;
+    }
+    const previous = own[i - 1]?.progress;
+    if (typeof previous === 'number' && progress <= previous) {
+      problems.push(`Progress went from ${previous} to ${progress} at notification ${i + 1}; it must increase`);
+    }
+    if (typeof total === 'number' && progress > total) {
+      problems.push(`Progress ${progress} exceeds total ${total} at notification ${i + 1}`);
+    }
+  });
+
+  return problems;
+}
+
+module.exports = { ProgressTracker, checkProgress, PROGRESS_HINT };
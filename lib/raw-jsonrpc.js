@@ -0,0 +1,346 @@
+/**
+ * Raw JSON-RPC channel
+ *
+ * Talks to an MCP server below the SDK Client so malformed frames reach
+ * the server verbatim and every reply is seen exactly as it was sent.
+ * Supports stdio (newline-delimited JSON) and streamableHttp (POST with
+ * JSON or event-stream responses).
+ */
+
+const { spawn } = require('child_process');
+const { LATEST_PROTOCOL_VERSION } = require('@modelcontextprotocol/sdk/types.js');
+const { getDefaultEnvironment } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+// Keep the end of a chatty server's stderr, not all of it
+const MAX_STDERR = 64 * 1024;
+
+/**
+ * Environment of a stdio server: like MCP clients, the SDK's default
+ * environment plus the config's `env`, never the tester's whole environment
+ */
+function stdioEnvironment(env) {
+  return { ...getDefaultEnvironment(), ...env };
+}
+
+class RawJsonRpcChannel {
+  /**
+   * @param {Object} transportConfig - Same shape as MCPTestFrameworkAdvanced.createTransport()
+   * @param {Object} options - { captureStderr: false }
+   */
+  constructor(transportConfig, options = {}) {
+    this.config = transportConfig;
+    this.type = transportConfig.type;
+    this.captureStderr = Boolean(options.captureStderr);
+    // Every parsed frame received, in order; batch replies stay arrays
+    this.frames = [];
+    // Lines on stdout that were not JSON
+    this.unparsedLines = [];
+    // Every stdout line with the last request sent before it (stdio only)
+    this.stdoutLines = [];
+    this.lastRequest = null;
+    this.stderr = '';
+    this.closed = false;
+    this.exitCode = null;
+    this.httpStatuses = [];
+    this.waiters = [];
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Start the server process (stdio) or check the URL (streamableHttp)
+   */
+  async open() {
+    if (this.type === 'stdio') {
+      await this.spawnProcess();
+    } else if (this.type === 'streamableHttp') {
+      if (!this.config.url) {
+        throw new Error('streamableHttp transport requires "url" parameter');
+      }
+    } else {
+      throw new Error(`Raw JSON-RPC probes do not support the ${this.type} transport`);
+    }
+    return this;
+  }
+
+  spawnProcess() {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.config.command, this.config.args || [], {
+        cwd: this.config.cwd,
+        env: stdioEnvironment(this.config.env),
+        stdio: ['pipe', 'pipe', this.captureStderr ? 'pipe' : 'ignore']
+      });
+      this.process = child;
+
+      if (this.captureStderr) {
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (chunk) => {
+          this.stderr = (this.stderr + chunk).slice(-MAX_STDERR);
+        });
+      }
+
+      let buffer = '';
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).replace(/\r$/, '');
+          buffer = buffer.slice(newline + 1);
+          if (line.trim()) {
+            this.stdoutLines.push({ text: line, after: this.lastRequest });
+            this.receiveText(line);
+          }
+        }
+      });
+      child.stdout.on('end', () => {
+        // A last line without a newline
+        if (buffer.trim()) {
+          this.stdoutLines.push({ text: buffer, after: this.lastRequest });
+          this.receiveText(buffer);
+        }
+      });
+      child.stdin.on('error', () => {
+        // EPIPE after the server exits; reported through `closed`
+      });
+      child.on('spawn', () => resolve());
+      child.on('error', (error) => {
+        this.markClosed();
+        reject(error);
+      });
+      child.on('exit', (code) => {
+        this.exitCode = code;
+        this.markClosed();
+      });
+    });
+  }
+
+  receiveText(text) {
+    let frame;
+    try {
+      frame = JSON.parse(text);
+    } catch {
+      this.unparsedLines.push(text);
+      return;
+    }
+    this.frames.push(frame);
+    this.notifyWaiters();
+  }
+
+  markClosed() {
+    this.closed = true;
+    this.notifyWaiters();
+  }
+
+  notifyWaiters() {
+    for (const waiter of [...this.waiters]) {
+      waiter();
+    }
+  }
+
+  /**
+   * Send a frame exactly as given
+   * @param {string} text - Raw frame, without the trailing newline
+   */
+  async sendRaw(text) {
+    try {
+      const { method, id } = JSON.parse(text);
+      if (method && id !== undefined) this.lastRequest = { method, id };
+    } catch {
+      // Malformed on purpose
+    }
+
+    if (this.type === 'stdio') {
+      if (this.closed) {
+        throw new Error('Server process has exited');
+      }
+      this.process.stdin.write(text + '\n');
+      return;
+    }
+    await this.postRaw(text);
+  }
+
+  /**
+   * Send a JSON-RPC message (or batch array)
+   */
+  async send(message) {
+    await this.sendRaw(JSON.stringify(message));
+  }
+
+  async postRaw(text) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...(this.config.headers || {})
+    };
+    if (this.sessionId) headers['mcp-session-id'] = this.sessionId;
+    if (this.protocolVersion) headers['mcp-protocol-version'] = this.protocolVersion;
+
+    let response;
+    try {
+      response = await fetch(this.config.url, {
+        method: 'POST',
+        headers,
+        body: text,
+        signal: this.abortController.signal
+      });
+    } catch (error) {
+      this.markClosed();
+      throw error;
+    }
+
+    this.httpStatuses.push(response.status);
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      // Responses arrive on the stream; keep reading in the background
+      this.readEventStream(response.body).catch(() => {});
+    } else {
+      const body = await response.text();
+      if (body.trim()) this.receiveText(body);
+    }
+  }
+
+  async readEventStream(body) {
+    const decoder = new TextDecoder();
+    const reader = body.getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const event = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (data) this.receiveText(data);
+      }
+    }
+  }
+
+  /**
+   * Wait for the first frame received since `since` that matches
+   * @param {Function} predicate - (frame) => boolean
+   * @param {number} timeout - ms
+   * @param {number} since - Index into `frames` to search from
+   * @returns {Promise<Object|Array|null>} The frame, or null on timeout or exit
+   */
+  waitFor(predicate, timeout, since = 0) {
+    return new Promise((resolve) => {
+      let timer;
+      const check = () => {
+        const frame = this.frames.slice(since).find(predicate);
+        if (frame !== undefined || (this.closed && this.type === 'stdio')) {
+          finish(frame ?? null);
+        }
+      };
+      const finish = (value) => {
+        clearTimeout(timer);
+        this.waiters = this.waiters.filter(waiter => waiter !== check);
+        resolve(value);
+      };
+      timer = setTimeout(() => finish(null), timeout);
+      this.waiters.push(check);
+      check();
+    });
+  }
+
+  /**
+   * Send a request and wait for the response with the same id
+   */
+  async request(message, timeout) {
+    const since = this.frames.length;
+    await this.send(message);
+    return this.waitFor(frame => isResponseTo(frame, message.id), timeout, since);
+  }
+
+  /**
+   * Run the initialize handshake
+   * @returns {Promise<Object>} The initialize result
+   */
+  async initialize(timeout) {
+    const response = await this.request({
+      jsonrpc: '2.0',
+      id: 'mcp-tester-initialize',
+      method: 'initialize',
+      params: {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'mcp-tester-raw-probe', version: '2.0.0' }
+      }
+    }, timeout);
+
+    if (!response) {
+      throw new Error('No response to initialize');
+    }
+    if (response.error) {
+      throw new Error(`initialize failed: ${response.error.message} (${response.error.code})`);
+    }
+
+    this.protocolVersion = response.result?.protocolVersion || LATEST_PROTOCOL_VERSION;
+    await this.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    return response.result;
+  }
+
+  /**
+   * Check the server still answers a ping
+   */
+  async isAlive(timeout) {
+    if (this.closed && this.type === 'stdio') return false;
+    try {
+      const response = await this.request({
+        jsonrpc: '2.0',
+        id: `mcp-tester-ping-${this.frames.length}-${Date.now()}`,
+        method: 'ping'
+      }, timeout);
+      return Boolean(response && response.result);
+    } catch {
+      return false;
+    }
+  }
+
+  async close() {
+    if (this.type === 'stdio') {
+      if (!this.process || this.closed) return;
+      this.process.stdin.end();
+      // 'close' waits for stdout to drain as well as for the exit
+      const exited = new Promise(resolve => this.process.once('close', resolve));
+      const timer = setTimeout(() => this.process.kill(), 2000);
+      await exited;
+      clearTimeout(timer);
+      return;
+    }
+
+    if (this.sessionId) {
+      try {
+        await fetch(this.config.url, {
+          method: 'DELETE',
+          headers: { ...(this.config.headers || {}), 'mcp-session-id': this.sessionId }
+        });
+      } catch {
+        // The session expires on its own
+      }
+    }
+    this.abortController.abort();
+    this.markClosed();
+  }
+}
+
+/**
+ * Is `frame` a single (non-batch) response to the request `id`?
+ */
+function isResponseTo(frame, id) {
+  return Boolean(frame) && !Array.isArray(frame) && frame.id === id && ('result' in frame || 'error' in frame);
+}
+
+module.exports = { RawJsonRpcChannel, isResponseTo, stdioEnvironment };
@@ -0,0 +1,364 @@
+/**
+ * Interactive REPL for exploring an MCP server
+ *
+ * Lists tools, resources and prompts, calls tools with arguments prompted
+ * from their inputSchema, prints server notifications as they arrive, and
+ * saves the calls made as a declarative suite file (see suite-file.js).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const YAML = require('yaml');
+const { CallToolResultSchema, ResultSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  describeTool,
+  describeResource,
+  describeTemplate,
+  describePrompt,
+  printToolResult,
+  printResourceContents
+} = require('./result-format.js');
+
+const COMMANDS = {
+  tools: 'List tools',
+  resources: 'List resources and resource templates',
+  prompts: 'List prompts',
+  'call <tool> [json]': 'Call a tool; without JSON, arguments are prompted from its schema',
+  'read <uri>': 'Read a resource',
+  'get <prompt> [json]': 'Get a prompt; without JSON, arguments are prompted',
+  'save <file.yaml>': 'Save the calls made so far as a suite file',
+  help: 'Show this help',
+  exit: 'Disconnect and quit'
+};
+
+function describeType(schema) {
+  if (!schema) return 'any';
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  return [].concat(schema.type || 'any').join(' | ');
+}
+
+/**
+ * Read a typed-in value: JSON when it parses (and the field is not a plain
+ * string), the raw text otherwise
+ */
+function parseInput(text, schema) {
+  const types = [].concat(schema?.type || []);
+  if (types.length === 1 && types[0] === 'string' && !/^".*"$/.test(text)) {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+class McpRepl {
+  /**
+   * @param {Object} framework - MCPTestFrameworkAdvanced instance
+   * @param {Object} transportConfig - Config passed to connectToServer()
+   */
+  constructor(framework, transportConfig) {
+    this.framework = framework;
+    this.transportConfig = transportConfig;
+    this.tools = [];
+    this.resources = [];
+    this.prompts = [];
+    // Calls made this session, saved as toolTests / promptTests
+    this.toolTests = [];
+    this.promptTests = [];
+  }
+
+  async start() {
+    const { client } = await this.framework.connectToServer(this.transportConfig);
+    this.client = client;
+    const server = client.getServerVersion();
+    console.log(`🔌 Connected to ${server?.name || 'server'} ${server?.version || ''} (${this.transportConfig.type})`);
+
+    // Show every server notification (logs, progress, list changes) as it arrives
+    client.fallbackNotificationHandler = async (notification) => {
+      this.print(`🔔 ${notification.method} ${JSON.stringify(notification.params || {})}`);
+      if (/list_changed$/.test(notification.method)) {
+        await this.refresh();
+      }
+    };
+
+    await this.refresh();
+    console.log(`   ${this.tools.length} tools, ${this.resources.length} resources, ${this.prompts.length} prompts. Type "help" for commands.`);
+
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer: line => this.complete(line),
+      terminal: process.stdin.isTTY
+    });
+    this.lines = this.rl[Symbol.asyncIterator]();
+
+    try {
+      for (;;) {
+        const line = await this.ask('mcp> ');
+        if (line === null) break;
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        if (['exit', 'quit', '.exit'].includes(trimmed)) break;
+
+        try {
+          await this.run(trimmed);
+        } catch (error) {
+          console.log(`❌ ${error.message}`);
+        }
+      }
+    } finally {
+      this.rl.close();
+      await this.client.close();
+    }
+  }
+
+  /**
+   * Prompt for one line; null at end of input
+   */
+  async ask(question) {
+    this.rl.setPrompt(question);
+    this.rl.prompt();
+    const { value, done } = await this.lines.next();
+    return done ? null : value;
+  }
+
+  print(message) {
+    if (this.rl && process.stdin.isTTY) {
+      readline.clearLine(process.stdout, 0);
+      readline.cursorTo(process.stdout, 0);
+      console.log(message);
+      this.rl.prompt(true);
+    } else {
+      console.log(message);
+    }
+  }
+
+  async refresh() {
+    const capabilities = this.client.getServerCapabilities() || {};
+    this.tools = capabilities.tools ? (await this.client.listTools()).tools : [];
+    this.resources = capabilities.resources ? (await this.client.listResources()).resources : [];
+    this.templates = capabilities.resources ? (await this.client.listResourceTemplates().catch(() => ({ resourceTemplates: [] }))).resourceTemplates : [];
+    this.prompts = capabilities.prompts ? (await this.client.listPrompts()).prompts : [];
+  }
+
+  complete(line) {
+    const [command, ...rest] = line.split(' ');
+    if (rest.length === 0) {
+      const names = Object.keys(COMMANDS).map(name => name.split(' ')[0]);
+      const hits = names.filter(name => name.startsWith(command));
+      return [hits.length ? hits : names, line];
+    }
+    if (rest.length > 1) return [[], line];
+
+    const candidates = {
+      call: this.tools.map(tool => tool.name),
+      read: this.resources.map(resource => resource.uri),
+      get: this.prompts.map(prompt => prompt.name)
+    }[command] || [];
+    const hits = candidates.filter(name => name.startsWith(rest[0])).map(name => `${command} ${name}`);
+    return [hits, line];
+  }
+
+  async run(line) {
+    const [command] = line.split(/\s+/, 1);
+    const rest = line.slice(command.length).trim();
+
+    switch (command) {
+      case 'help':
+        for (const [usage, description] of Object.entries(COMMANDS)) {
+          console.log(`  ${usage.padEnd(22)} ${description}`);
+        }
+        return;
+
+      case 'tools':
+        await this.refresh();
+        for (const tool of this.tools) {
+          console.log(`  ${describeTool(tool)}`);
+        }
+        if (this.tools.length === 0) console.log('  (no tools)');
+        return;
+
+      case 'resources':
+        await this.refresh();
+        for (const resource of this.resources) {
+          console.log(`  ${describeResource(resource)}`);
+        }
+        for (const template of this.templates) {
+          console.log(`  ${describeTemplate(template)}`);
+        }
+        if (this.resources.length === 0 && this.templates.length === 0) console.log('  (no resources)');
+        return;
+
+      case 'prompts':
+        await this.refresh();
+        for (const prompt of this.prompts) {
+          console.log(`  ${describePrompt(prompt)}`);
+        }
+        if (this.prompts.length === 0) console.log('  (no prompts)');
+        return;
+
+      case 'call':
+        return this.callTool(rest);
+
+      case 'read':
+        return this.readResource(rest);
+
+      case 'get':
+        return this.getPrompt(rest);
+
+      case 'save':
+        return this.save(rest);
+
+      default:
+        throw new Error(`Unknown command "${command}" (type "help")`);
+    }
+  }
+
+  splitNameAndJson(text, what) {
+    const match = text.match(/^(\S+)\s*(.*)$/);
+    if (!match) throw new Error(`Usage: ${what} <name> [json]`);
+    let args;
+    if (match[2]) {
+      try {
+        args = JSON.parse(match[2]);
+      } catch (error) {
+        throw new Error(`Arguments are not valid JSON: ${error.message}`);
+      }
+    }
+    return { name: match[1], args };
+  }
+
+  /**
+   * Ask for each property of an object schema
+   */
+  async promptArguments(schema) {
+    const args = {};
+    const required = schema?.required || [];
+
+    for (const [name, prop] of Object.entries(schema?.properties || {})) {
+      const isRequired = required.includes(name);
+      const hints = [describeType(prop), isRequired ? 'required' : 'optional'];
+      if (prop.default !== undefined) hints.push(`default ${JSON.stringify(prop.default)}`);
+      const description = prop.description ? ` ${prop.description}` : '';
+
+      for (;;) {
+        const answer = await this.ask(`  ${name} (${hints.join(', ')})${description}: `);
+        if (answer === null) throw new Error('Input ended');
+        if (answer.trim() === '') {
+          if (!isRequired || prop.default !== undefined) break;
+          console.log(`  ${name} is required`);
+          continue;
+        }
+        args[name] = parseInput(answer.trim(), prop);
+        break;
+      }
+    }
+    return args;
+  }
+
+  async callTool(text) {
+    const { name, args: given } = this.splitNameAndJson(text, 'call');
+    const tool = this.tools.find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool "${name}" (available: ${this.tools.map(t => t.name).join(', ') || 'none'})`);
+    }
+
+    const args = given ?? await this.promptArguments(tool.inputSchema);
+    if (tool.inputSchema) {
+      const validation = this.framework.validateAgainstSchema(args, tool.inputSchema);
+      if (!validation.valid) {
+        console.log(`⚠️ Arguments do not match the schema, calling anyway:\n  ${validation.errors.join('\n  ')}`);
+      }
+    }
+
+    const start = Date.now();
+    const callResult = await this.client.request({
+      method: 'tools/call',
+      params: { name, arguments: args }
+    }, CallToolResultSchema);
+    printToolResult(callResult);
+    console.log(`⏱️ ${Date.now() - start}ms`);
+
+    this.toolTests.push({
+      toolName: name,
+      arguments: args,
+      assertions: [{ isError: callResult.isError === true }]
+    });
+  }
+
+  async readResource(uri) {
+    if (!uri) throw new Error('Usage: read <uri>');
+    const response = await this.client.readResource({ uri });
+    printResourceContents(response);
+  }
+
+  async getPrompt(text) {
+    const { name, args: given } = this.splitNameAndJson(text, 'get');
+    const prompt = this.prompts.find(p => p.name === name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt "${name}" (available: ${this.prompts.map(p => p.name).join(', ') || 'none'})`);
+    }
+
+    const args = given ?? await this.promptArguments(this.framework.promptArgumentsSchema(prompt));
+    const response = await this.client.request({
+      method: 'prompts/get',
+      params: { name, arguments: args }
+    }, ResultSchema);
+    for (const message of response.messages || []) {
+      const content = message.content?.type === 'text' ? message.content.text : JSON.stringify(message.content);
+      console.log(`[${message.role}] ${content}`);
+    }
+
+    this.promptTests.push({ promptName: name, arguments: args });
+  }
+
+  /**
+   * Write the session as a suite file runnable with `mcp-tester run`
+   */
+  async save(file) {
+    if (!file) throw new Error('Usage: save <file.yaml>');
+    if (this.toolTests.length === 0 && this.promptTests.length === 0) {
+      throw new Error('Nothing to save yet: call a tool or get a prompt first');
+    }
+
+    const target = path.resolve(file);
+    const transport = { ...this.transportConfig };
+    if (transport.type === 'stdio') {
+      // Suite paths resolve from the suite file, so pin the working directory
+      transport.cwd = path.relative(path.dirname(target), process.cwd()) || '.';
+    }
+    // Keep secrets out of the file; the suite reads them from the environment
+    const secrets = [];
+    if (transport.headers) {
+      transport.headers = Object.fromEntries(Object.entries(transport.headers).map(([key, value]) => {
+        if (/auth|token|key/i.test(key)) {
+          const variable = `MCP_${key.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+          secrets.push(variable);
+          return [key, `\${${variable}}`];
+        }
+        return [key, value];
+      }));
+    }
+
+    const suite = {
+      name: `REPL session ${new Date().toISOString()}`,
+      transport,
+      ...(this.toolTests.length > 0 ? { toolTests: this.toolTests } : {}),
+      ...(this.promptTests.length > 0 ? { promptTests: this.promptTests } : {})
+    };
+
+    const content = path.extname(target).toLowerCase() === '.json'
+      ? JSON.stringify(suite, null, 2) + '\n'
+      : YAML.stringify(suite);
+    await fs.writeFile(target, content);
+    console.log(`💾 Saved ${this.toolTests.length} tool and ${this.promptTests.length} prompt tests to ${target}`);
+    if (secrets.length > 0) {
+      console.log(`   Set ${secrets.join(', ')} before running it`);
+    }
+  }
+}
+
+module.exports = { McpRepl };
@@ -0,0 +1,46 @@
+/**
+ * Report writers
+ *
+ * A reporter turns the report built by MCPTestFrameworkAdvanced.generateReport()
+ * into file contents. Register new formats with registerReporter().
+ */
+
+const { renderJUnit } = require('./junit-reporter.js');
+const { renderHtml } = require('./html-reporter.js');
+
+const reporters = {
+  json: {
+    extension: '.json',
+    render: report => JSON.stringify(report, null, 2)
+  },
+  junit: {
+    extension: '.xml',
+    render: renderJUnit
+  },
+  html: {
+    extension: '.html',
+    render: renderHtml
+  }
+};
+
+/**
+ * Register a report format
+ * @param {string} name - Name used with --reporter
+ * @param {{extension: string, render: Function}} reporter - render(report) returns the file contents
+ */
+function registerReporter(name, reporter) {
+  if (!reporter || typeof reporter.render !== 'function') {
+    throw new Error(`Reporter "${name}" must have a render(report) function`);
+  }
+  reporters[name] = { extension: '', ...reporter };
+}
+
+function getReporter(name) {
+  const reporter = reporters[name];
+  if (!reporter) {
+    throw new Error(`Unknown reporter "${name}" (available: ${Object.keys(reporters).join(', ')})`);
+  }
+  return reporter;
+}
+
+module.exports = { registerReporter, getReporter };
@@ -0,0 +1,62 @@
+/**
+ * Human-readable console output for listings and results, shared by the
+ * REPL and the one-shot `call`, `read` and `list` commands
+ */
+
+function describeTool(tool) {
+  const required = tool.inputSchema?.required || [];
+  const params = Object.keys(tool.inputSchema?.properties || {})
+    .map(name => required.includes(name) ? name : `${name}?`);
+  return `🔧 ${tool.name}(${params.join(', ')})${tool.description ? ` - ${tool.description}` : ''}`;
+}
+
+function describeResource(resource) {
+  return `📄 ${resource.uri}${resource.name ? ` - ${resource.name}` : ''}${resource.mimeType ? ` (${resource.mimeType})` : ''}`;
+}
+
+function describeTemplate(template) {
+  return `🧩 ${template.uriTemplate}${template.name ? ` - ${template.name}` : ''}`;
+}
+
+function describePrompt(prompt) {
+  const params = (prompt.arguments || []).map(arg => arg.required ? arg.name : `${arg.name}?`);
+  return `💬 ${prompt.name}(${params.join(', ')})${prompt.description ? ` - ${prompt.description}` : ''}`;
+}
+
+/**
+ * Print a tools/call result: text content as is, other content summarised
+ */
+function printToolResult(callResult) {
+  for (const item of callResult.content || []) {
+    if (item.type === 'text') {
+      console.log(item.text);
+    } else {
+      console.log(`[${item.type}] ${JSON.stringify({ ...item, data: item.data ? `(${item.data.length} chars)` : undefined })}`);
+    }
+  }
+  if (callResult.structuredContent !== undefined) {
+    console.log(`structuredContent: ${JSON.stringify(callResult.structuredContent, null, 2)}`);
+  }
+  if (callResult.isError) {
+    console.log('⚠️ Tool returned isError: true');
+  }
+}
+
+/**
+ * Print a resources/read result
+ */
+function printResourceContents(response) {
+  for (const item of response.contents || []) {
+    console.log(`📄 ${item.uri}${item.mimeType ? ` (${item.mimeType})` : ''}`);
+    console.log(item.text !== undefined ? item.text : `[blob, ${item.blob?.length || 0} base64 chars]`);
+  }
+}
+
+module.exports = {
+  describeTool,
+  describeResource,
+  describeTemplate,
+  describePrompt,
+  printToolResult,
+  printResourceContents
+};
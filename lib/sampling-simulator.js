@@ -0,0 +1,148 @@
+/**
+ * Scripted sampling handler
+ *
+ * Servers that call sampling/createMessage need a client that advertises
+ * the `sampling` capability and answers. With a `sampling` block the
+ * tester does both, answering from a script instead of a model so runs are
+ * deterministic and offline, and records every request for assertions:
+ *
+ *   sampling:
+ *     model: test-model             # default model name of the responses
+ *     responses:                    # first match wins
+ *       - match: "summari[sz]e"     # regex over the text of the request's messages
+ *         text: "A short summary"
+ *       - match: "delete"
+ *         reject: "User rejected"   # answer with an error instead
+ *       - text: "Fallback answer"   # no match: answers anything
+ *
+ * From JavaScript, `sampling` may also be an async function (or
+ * { handler }) that receives the request params and returns the result.
+ */
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+
+const DEFAULT_MODEL = 'mcp-tester-sampling';
+
+// Code for a sampling request the user declined, as used by MCP clients
+const USER_REJECTED = -1;
+
+/**
+ * Validate a sampling block and compile its response patterns
+ * @param {Object|Function} config - The suite's `sampling` value
+ * @returns {Object} { handler } or { model, responses: [{ pattern, ... }] }
+ */
+function compileSamplingScript(config) {
+  if (typeof config === 'function') {
+    return { handler: config };
+  }
+  if (!config || typeof config !== 'object') {
+    throw new Error('"sampling" must be an object with "responses" (or a function)');
+  }
+  if (config.handler !== undefined) {
+    if (typeof config.handler !== 'function') {
+      throw new Error('sampling "handler" must be a function');
+    }
+    return { handler: config.handler };
+  }
+  if (!Array.isArray(config.responses) || config.responses.length === 0) {
+    throw new Error('sampling needs a non-empty "responses" list');
+  }
+
+  const responses = config.responses.map((response, i) => {
+    const where = `sampling response ${i + 1}`;
+    if (!response || typeof response !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (response.text === undefined && response.content === undefined && response.reject === undefined) {
+      throw new Error(`${where} needs "text", "content" or "reject"`);
+    }
+    let pattern = null;
+    if (response.match !== undefined) {
+      try {
+        pattern = new RegExp(response.match, response.flags);
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    }
+    return { ...response, pattern };
+  });
+
+  return { model: config.model || DEFAULT_MODEL, responses };
+}
+
+/**
+ * Text of a createMessage request's messages, the subject of `match`
+ */
+function requestText(params) {
+  return (params.messages || [])
+    .map(message => (message.content?.type === 'text' ? message.content.text : ''))
+    .join('\n');
+}
+
+class SamplingSimulator {
+  /**
+   * @param {Object|Function} config - The suite's `sampling` value
+   * @param {Function} context - Returns { suite, test } for new requests
+   */
+  constructor(config, context = () => ({})) {
+    this.script = compileSamplingScript(config);
+    this.context = context;
+    this.requests = [];
+  }
+
+  /**
+   * Answer a sampling/createMessage request and record it
+   * @param {Object} request - The CreateMessageRequest
+   * @returns {Promise<Object>} A CreateMessageResult
+   */
+  async handle(request) {
+    const { _meta, ...params } = request.params;
+    const { suite = null, test = null } = this.context();
+    const entry = { timestamp: new Date().toISOString(), suite, test, ...params };
+    this.requests.push(entry);
+
+    try {
+      entry.response = await this.respond(params);
+      return entry.response;
+    } catch (error) {
+      entry.error = { code: error.code, message: error.message };
+      throw error;
+    }
+  }
+
+  async respond(params) {
+    if (this.script.handler) {
+      return this.script.handler(params);
+    }
+
+    const text = requestText(params);
+    const response = this.script.responses.find(r => !r.pattern || r.pattern.test(text));
+    if (!response) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `No scripted sampling response matches: ${text.length > 200 ? `${text.slice(0, 200)}…` : text}`
+      );
+    }
+    if (response.reject !== undefined) {
+      const error = new McpError(USER_REJECTED, String(response.reject));
+      error.scripted = true;
+      throw error;
+    }
+
+    return {
+      role: 'assistant',
+      content: response.content || { type: 'text', text: String(response.text) },
+      model: response.model || this.script.model,
+      stopReason: response.stopReason || 'endTurn'
+    };
+  }
+
+  /**
+   * Requests recorded from index `start`
+   */
+  since(start) {
+    return this.requests.slice(start);
+  }
+}
+
+module.exports = { SamplingSimulator, compileSamplingScript };
@@ -0,0 +1,401 @@
+/**
+ * Schema-driven argument generator
+ *
+ * Produces arguments that satisfy a tool's inputSchema so every tool can be
+ * smoke tested without hand-written fixtures. Choices are deterministic:
+ * defaults and examples win, then enums/const, then the smallest value
+ * that satisfies the numeric, length and format constraints.
+ *
+ * Passing an `rng` option (a function returning [0, 1)) switches to random
+ * but still schema-valid choices, which the fuzzer uses.
+ */
+
+const { validateSchema, compilePattern, deepEqual } = require('./json-schema-validator.js');
+
+const RANDOM_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -_.:/éü中😀';
+
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '12:00:00Z',
+  email: 'user@example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  uri: 'https://example.com/resource',
+  'uri-reference': '/resource',
+  url: 'https://example.com/resource',
+  uuid: '123e4567-e89b-12d3-a456-426614174000',
+  regex: '^.*$'
+};
+
+// Tried in order when a string has a pattern we cannot invert
+const PATTERN_CANDIDATES = [
+  'example', 'test', 'abc', 'ABC', 'a', 'A', '1', '123', 'a1', 'test-value',
+  'test_value', 'example.com', 'user@example.com', '2024-01-01', 'https://example.com'
+];
+
+/**
+ * mulberry32: small, fast and good enough for reproducible test inputs
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} rng returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveRef(ref, root) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) return {};
+
+  let target = root;
+  for (const segment of ref.slice(2).split('/')) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !(key in target)) return {};
+    target = target[key];
+  }
+  return target;
+}
+
+/**
+ * Flatten $ref and allOf, and pick the first anyOf/oneOf branch
+ */
+function normalize(schema, root, depth) {
+  if (schema === true || schema === undefined || schema === null) return {};
+  if (schema === false) return { not: {} };
+
+  let current = schema;
+  if (current.$ref && depth < 20) {
+    const { $ref, ...rest } = current;
+    current = { ...normalize(resolveRef($ref, root), root, depth + 1), ...rest };
+  }
+  if (Array.isArray(current.allOf)) {
+    const { allOf, ...rest } = current;
+    current = allOf.reduce((merged, part) => {
+      const normalized = normalize(part, root, depth + 1);
+      return {
+        ...merged,
+        ...normalized,
+        properties: { ...merged.properties, ...normalized.properties },
+        required: [...(merged.required || []), ...(normalized.required || [])]
+      };
+    }, rest);
+  }
+  const branches = current.oneOf || current.anyOf;
+  if (Array.isArray(branches) && branches.length > 0) {
+    const { oneOf, anyOf, ...rest } = current;
+    current = { ...rest, ...normalize(branches[0], root, depth + 1) };
+  }
+  return current;
+}
+
+function primaryType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find(type => type !== 'null') || 'null';
+  }
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.required) return 'object';
+  if (schema.items || schema.prefixItems) return 'array';
+  if (schema.minimum !== undefined || schema.maximum !== undefined) return 'number';
+  if (schema.pattern || schema.format || schema.minLength !== undefined) return 'string';
+  return 'string';
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function generateNumber(schema, integer, rng) {
+  let low = -Infinity;
+  let high = Infinity;
+
+  if (schema.minimum !== undefined) low = schema.minimum;
+  if (schema.maximum !== undefined) high = schema.maximum;
+  if (typeof schema.exclusiveMinimum === 'number') low = Math.max(low, schema.exclusiveMinimum + (integer ? 1 : 0.001));
+  if (typeof schema.exclusiveMaximum === 'number') high = Math.min(high, schema.exclusiveMaximum - (integer ? 1 : 0.001));
+  if (schema.exclusiveMinimum === true && schema.minimum !== undefined) low += integer ? 1 : 0.001;
+  if (schema.exclusiveMaximum === true && schema.maximum !== undefined) high -= integer ? 1 : 0.001;
+
+  let value;
+  if (rng) {
+    const from = Number.isFinite(low) ? low : Math.min(-1000, high - 1000);
+    const to = Number.isFinite(high) ? high : Math.max(1000, from + 1000);
+    value = from + rng() * (to - from);
+    if (integer) value = Math.min(Math.ceil(value), Math.floor(to));
+  } else {
+    // Prefer 1 when allowed, otherwise the lowest allowed value
+    value = low <= 1 && 1 <= high ? 1 : (Number.isFinite(low) ? low : high);
+    if (!Number.isFinite(value)) value = 1;
+    if (integer) value = Math.ceil(value);
+  }
+
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const step = schema.multipleOf;
+    value = Math.ceil(value / step) * step;
+    // Rounding up may overshoot the range: take the highest multiple within
+    // it, or the lowest one above `low` when none is below `high`
+    if (value > high) value = Math.floor(high / step) * step;
+    if (value < low) value = Math.ceil(low / step) * step;
+  }
+  return value;
+}
+
+function fitLength(value, schema) {
+  let result = value;
+  const min = schema.minLength || 0;
+  while (Array.from(result).length < min) {
+    result += 'x';
+  }
+  if (schema.maxLength !== undefined && Array.from(result).length > schema.maxLength) {
+    result = Array.from(result).slice(0, schema.maxLength).join('');
+  }
+  return result;
+}
+
+function generateString(schema, hint, rng) {
+  const regex = schema.pattern ? compilePattern(schema.pattern) : null;
+
+  // A format example too long, too short or off-pattern for the schema
+  // gives way to the length and pattern rules below
+  const example = FORMAT_EXAMPLES[schema.format];
+  if (example && fitLength(example, schema) === example && (!regex || regex.test(example))) {
+    return example;
+  }
+
+  if (regex) {
+    const candidates = [hint, ...PATTERN_CANDIDATES].filter(Boolean).map(c => fitLength(c, schema));
+    const match = candidates.find(candidate => regex.test(candidate));
+    if (match !== undefined) return match;
+  }
+
+  if (rng) {
+    const min = schema.minLength || 0;
+    const max = schema.maxLength !== undefined ? schema.maxLength : min + 16;
+    const length = min + Math.floor(rng() * (max - min + 1));
+    const alphabet = Array.from(RANDOM_ALPHABET);
+    return Array.from({ length }, () => pick(rng, alphabet)).join('');
+  }
+
+  return fitLength(hint || 'example', schema);
+}
+
+/**
+ * Generate a value satisfying a JSON Schema
+ * @param {Object} schema - The (sub)schema to satisfy
+ * @param {Object} options - { includeOptional: false, rng, root, name }
+ * @returns {*} Generated value
+ */
+function generateValue(schema, options = {}, depth = 0) {
+  const root = options.root || schema;
+  const rng = options.rng;
+  const current = normalize(schema, root, 0);
+
+  if (current.const !== undefined) return current.const;
+  if (Array.isArray(current.enum) && current.enum.length > 0 && rng) return pick(rng, current.enum);
+  if (current.default !== undefined && (!rng || rng() < 0.2)) return current.default;
+  if (Array.isArray(current.examples) && current.examples.length > 0) {
+    return rng ? pick(rng, current.examples) : current.examples[0];
+  }
+  if (Array.isArray(current.enum) && current.enum.length > 0) return current.enum[0];
+
+  switch (primaryType(current)) {
+    case 'integer':
+      return generateNumber(current, true, rng);
+    case 'number':
+      return generateNumber(current, false, rng);
+    case 'boolean':
+      return rng ? rng() < 0.5 : true;
+    case 'null':
+      return null;
+    case 'array':
+      return generateArray(current, { ...options, root }, depth);
+    case 'object':
+      return generateObject(current, { ...options, root }, depth);
+    default:
+      return generateString(current, options.name, rng);
+  }
+}
+
+function generateArray(schema, options, depth) {
+  const prefix = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : []);
+  const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+  const count = options.rng
+    ? Math.max(prefix.length, (schema.minItems || 0) + Math.floor(options.rng() * 5))
+    : Math.max(schema.minItems || 0, prefix.length > 0 ? prefix.length : 1);
+  const limit = schema.maxItems !== undefined ? Math.min(count, schema.maxItems) : count;
+
+  if (depth > 8) return [];
+
+  const items = [];
+  for (let i = 0; i < limit; i++) {
+    const itemSchema = i < prefix.length ? prefix[i] : rest;
+    if (itemSchema === false) break;
+    let item = generateValue(itemSchema, { ...options, name: options.name ? `${options.name}-${i + 1}` : undefined }, depth + 1);
+    if (schema.uniqueItems && items.some(taken => deepEqual(taken, item))) {
+      item = distinctItem(itemSchema, item, items, options, depth);
+      // Every value the item schema allows is taken: stop short
+      if (item === undefined) break;
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Whether a value satisfies a subschema; $refs resolve against the root
+ */
+function satisfies(value, schema, root) {
+  try {
+    return validateSchema(value, schema === undefined ? true : schema, root).valid;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Suffixes for making a string distinct: 1, 2, ... then a, b, ... for
+ * patterns that allow no digits
+ */
+function* suffixes() {
+  for (let n = 1; n <= 50; n++) yield String(n);
+  for (let n = 0; n < 50; n++) yield (n + 10).toString(36);
+}
+
+/**
+ * Values to try in place of an item that repeats an earlier one: the other
+ * enum options, the neighbouring multiples of the step, the item with a
+ * suffix, and for anything else (or when none of those fit) fresh random
+ * values
+ */
+function* itemCandidates(schema, item, taken, options, depth) {
+  const current = normalize(schema, options.root, 0);
+
+  if (Array.isArray(current.enum)) {
+    yield* current.enum;
+    return;
+  }
+  if (Array.isArray(current.examples)) yield* current.examples;
+
+  if (typeof item === 'number') {
+    const step = typeof current.multipleOf === 'number' && current.multipleOf > 0 ? current.multipleOf : 1;
+    for (let k = 1; k <= 100; k++) {
+      yield item + k * step;
+      yield item - k * step;
+    }
+  } else if (typeof item === 'boolean') {
+    yield !item;
+  } else if (typeof item === 'string') {
+    const characters = Array.from(item);
+    for (const suffix of suffixes()) {
+      const keep = current.maxLength !== undefined ? Math.max(0, current.maxLength - suffix.length) : characters.length;
+      yield characters.slice(0, keep).join('') + suffix;
+    }
+  }
+
+  // Seeded when not fuzzing, so the choice stays deterministic
+  const rng = options.rng || createRng(taken.length);
+  for (let attempt = 0; attempt < 20; attempt++) {
+    yield generateValue(schema, { ...options, rng }, depth + 1);
+  }
+}
+
+function distinctItem(schema, item, taken, options, depth) {
+  for (const candidate of itemCandidates(schema, item, taken, options, depth)) {
+    if (!taken.some(other => deepEqual(other, candidate)) && satisfies(candidate, schema, options.root)) {
+      return candidate;
+    }
+  }
+  return undefined;
+}
+
+function generateObject(schema, options, depth) {
+  const result = {};
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  const has = name => hasOwn(result, name);
+
+  if (depth > 8) return result;
+
+  for (const [name, propSchema] of Object.entries(properties)) {
+    const includeOptional = options.rng ? options.rng() < 0.5 : options.includeOptional;
+    if (required.has(name) || includeOptional) {
+      result[name] = generateValue(propSchema, { ...options, name }, depth + 1);
+    }
+  }
+  // Required names without a property schema still need a value
+  for (const name of required) {
+    if (!has(name)) {
+      result[name] = generateProperty(schema, name, options, depth);
+    }
+  }
+
+  // minProperties: the optional properties first, then extra ones where
+  // additionalProperties allows them
+  const optional = Object.keys(properties).filter(name => !has(name));
+  for (let n = 1; Object.keys(result).length < (schema.minProperties || 0); n++) {
+    const name = optional.length > 0 ? optional.shift() : `property${n}`;
+    if (!hasOwn(properties, name) && schema.additionalProperties === false) break;
+    if (!has(name)) result[name] = generateProperty(schema, name, options, depth);
+  }
+
+  // Fields that dependentRequired (or draft-07 array `dependencies`) asks
+  // for once another is present, until no more are added
+  const dependents = { ...arrayDependencies(schema.dependencies), ...schema.dependentRequired };
+  let added = true;
+  while (added) {
+    added = false;
+    for (const [name, fields] of Object.entries(dependents)) {
+      if (!has(name) || !Array.isArray(fields)) continue;
+      for (const field of fields.filter(field => !has(field))) {
+        result[field] = generateProperty(schema, field, options, depth);
+        added = true;
+      }
+    }
+  }
+  return result;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * The array-valued entries of a draft-07 `dependencies` keyword
+ */
+function arrayDependencies(dependencies) {
+  return Object.fromEntries(
+    Object.entries(dependencies || {}).filter(([, value]) => Array.isArray(value))
+  );
+}
+
+/**
+ * Value for one property, from its own schema or additionalProperties
+ */
+function generateProperty(schema, name, options, depth) {
+  const properties = schema.properties || {};
+  const propSchema = hasOwn(properties, name)
+    ? properties[name]
+    : (schema.additionalProperties && typeof schema.additionalProperties === 'object' ? schema.additionalProperties : {});
+  return generateValue(propSchema, { ...options, name }, depth + 1);
+}
+
+/**
+ * Generate tool arguments from an inputSchema
+ * @param {Object} inputSchema - The tool's inputSchema
+ * @param {Object} options - { includeOptional: false, rng }
+ * @returns {Object} Arguments object
+ */
+function generateArguments(inputSchema, options = {}) {
+  if (!inputSchema) return {};
+  const args = generateValue(inputSchema, { ...options, root: inputSchema });
+  return args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+}
+
+module.exports = { generateArguments, generateValue, createRng };
@@ -0,0 +1,183 @@
+/**
+ * Server processes started for a test run
+ *
+ * A transport config may carry a `serve` block so the tester starts an
+ * HTTP/SSE server itself instead of expecting one to be running:
+ *
+ *   serve:
+ *     command: node
+ *     args: [./server.js]
+ *     env: { PORT: "3000" }
+ *     cwd: ./server
+ *     readyUrl: http://localhost:3000/health   # default: the transport url
+ *     readyPattern: "listening on"             # or wait for a log line
+ *     startupTimeout: 15000
+ *
+ * The process runs in its own process group so stopping it also stops
+ * anything it spawned (npm, nodemon, tsx, ...).
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const os = require('os');
+const { stdioEnvironment } = require('./raw-jsonrpc.js');
+
+const DEFAULT_STARTUP_TIMEOUT = 15000;
+const POLL_INTERVAL = 200;
+const STOP_GRACE_PERIOD = 3000;
+// In its own process group the server does not get the tester's Ctrl+C
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+function startError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ServedProcess {
+  /**
+   * @param {Object} serve - The transport's `serve` block
+   * @param {string} transportUrl - Used as readyUrl when none is given
+   * @param {LogCapture} logs - Receives stdout and stderr lines
+   * @param {Function} onLine - Called with each captured entry
+   */
+  constructor(serve, transportUrl, logs, onLine = () => {}) {
+    if (!serve.command) {
+      throw new Error('serve block requires "command"');
+    }
+    this.serve = serve;
+    this.readyUrl = serve.readyUrl || (serve.readyPattern ? null : transportUrl);
+    this.readyPattern = serve.readyPattern ? new RegExp(serve.readyPattern) : null;
+    this.startupTimeout = serve.startupTimeout || DEFAULT_STARTUP_TIMEOUT;
+    this.logs = logs;
+    this.onLine = onLine;
+    this.exitCode = null;
+    this.exited = false;
+    this.stopping = false;
+    this.killOnExit = () => this.killTree('SIGKILL');
+    this.killOnSignal = (signal) => {
+      this.killTree('SIGKILL');
+      process.exit(128 + (os.constants.signals[signal] || 0));
+    };
+  }
+
+  /**
+   * Spawn the process and wait until it is ready
+   * @returns {Promise<number>} Milliseconds until ready
+   */
+  async start() {
+    if (this.readyUrl && await this.responds(this.readyUrl)) {
+      throw startError(`Something is already listening at ${this.readyUrl}; stop it or change the port`, 'SERVER_START_FAILED');
+    }
+
+    const started = Date.now();
+    const patternSeen = new Promise(resolve => { this.markPatternSeen = resolve; });
+    const exited = new Promise(resolve => { this.markExited = resolve; });
+
+    this.process = spawn(this.serve.command, this.serve.args || [], {
+      cwd: this.serve.cwd,
+      env: stdioEnvironment(this.serve.env),
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+    // Never leave a server behind, even when the tester itself is killed
+    process.once('exit', this.killOnExit);
+    FORWARDED_SIGNALS.forEach(signal => process.once(signal, this.killOnSignal));
+
+    const capture = (entry) => {
+      if (this.readyPattern && this.readyPattern.test(entry.line)) this.markPatternSeen();
+      this.onLine(entry);
+    };
+    this.logs.attach(this.process.stdout, capture, { stream: 'stdout' });
+    this.logs.attach(this.process.stderr, capture, { stream: 'stderr' });
+
+    this.process.on('exit', (code, signal) => {
+      this.exited = true;
+      this.exitCode = code ?? signal;
+      this.markExited();
+    });
+
+    const spawnError = new Promise(resolve => this.process.once('error', resolve));
+    const ready = this.readyPattern ? patternSeen : this.pollUntilReady(() => this.exited || this.stopping);
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(resolve, this.startupTimeout); });
+
+    const outcome = await Promise.race([
+      ready.then(() => 'ready'),
+      exited.then(() => 'exited'),
+      spawnError.then(error => error),
+      timedOut.then(() => 'timeout')
+    ]);
+    clearTimeout(timer);
+
+    if (outcome === 'ready') return Date.now() - started;
+
+    await this.stop();
+    if (outcome instanceof Error) {
+      throw startError(`Could not start ${this.serve.command}: ${outcome.message}`, 'SERVER_START_FAILED');
+    }
+    if (outcome === 'exited') {
+      throw startError(`Server exited with ${this.exitCode} before it was ready`, 'SERVER_START_FAILED');
+    }
+    const waitedFor = this.readyPattern ? `a log line matching /${this.readyPattern.source}/` : this.readyUrl;
+    throw startError(`Server was not ready within ${this.startupTimeout}ms (waited for ${waitedFor})`, 'SERVER_START_TIMEOUT');
+  }
+
+  /**
+   * Any HTTP response counts: MCP endpoints answer a plain GET with 4xx
+   */
+  async responds(url) {
+    try {
+      await fetch(url, { method: 'GET', signal: AbortSignal.timeout(1000) }).then(response => response.body?.cancel());
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async pollUntilReady(stopped) {
+    while (!stopped()) {
+      if (await this.responds(this.readyUrl)) return;
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+    // Left to the other branches of the race
+    await new Promise(() => {});
+  }
+
+  killTree(signal) {
+    // The group may outlive its leader, so this runs even after 'exit'
+    if (!this.process?.pid) return;
+    try {
+      if (process.platform === 'win32') {
+        spawnSync('taskkill', ['/pid', String(this.process.pid), '/T', '/F']);
+      } else {
+        process.kill(-this.process.pid, signal);
+      }
+    } catch {
+      // Already gone
+    }
+  }
+
+  /**
+   * Stop the process and everything it spawned: SIGTERM, then SIGKILL
+   * after a grace period
+   */
+  async stop() {
+    this.stopping = true;
+    process.removeListener('exit', this.killOnExit);
+    FORWARDED_SIGNALS.forEach(signal => process.removeListener(signal, this.killOnSignal));
+    // No pid: the spawn itself failed
+    if (!this.process?.pid) return;
+    if (this.exited) {
+      this.killTree('SIGKILL');
+      return;
+    }
+
+    const exited = new Promise(resolve => this.process.once('exit', resolve));
+    this.killTree('SIGTERM');
+    const timer = setTimeout(() => this.killTree('SIGKILL'), STOP_GRACE_PERIOD);
+    await exited;
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { ServedProcess };
@@ -0,0 +1,195 @@
+/**
+ * Snapshot testing of tool results
+ *
+ * Results are normalised (sorted keys, no _meta), volatile values are
+ * redacted, and the outcome is stored in __snapshots__/<suite>.snap.json on
+ * the first run and compared against on later runs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { replaceJsonPath } = require('./json-path.js');
+const { deepEqual } = require('./json-schema-validator.js');
+
+// Named redactions usable in `redact` lists
+const BUILTIN_REDACTIONS = {
+  timestamps: {
+    pattern: /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g,
+    replacement: '[TIMESTAMP]'
+  },
+  uuids: {
+    pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    replacement: '[UUID]'
+  }
+};
+
+const DEFAULT_REDACTIONS = ['timestamps', 'uuids'];
+
+/**
+ * Turn a redaction spec into { path } or { pattern } form
+ *   "timestamps" / "uuids"             built-in pattern
+ *   "$.content[0].text"                JSONPath, value becomes "[REDACTED]"
+ *   { path, replacement }              JSONPath with a custom replacement
+ *   { pattern, flags, replacement }    regex applied to every string
+ */
+function compileRedaction(spec) {
+  if (typeof spec === 'string') {
+    if (BUILTIN_REDACTIONS[spec]) return BUILTIN_REDACTIONS[spec];
+    if (spec.startsWith('$')) return { path: spec, replacement: '[REDACTED]' };
+    throw new Error(`Unknown redaction "${spec}" (use ${Object.keys(BUILTIN_REDACTIONS).join(', ')} or a JSONPath)`);
+  }
+  if (spec && spec.path) {
+    return { path: spec.path, replacement: spec.replacement ?? '[REDACTED]' };
+  }
+  if (spec && spec.pattern) {
+    const flags = spec.flags ?? 'g';
+    return {
+      pattern: new RegExp(spec.pattern, flags.includes('g') ? flags : flags + 'g'),
+      replacement: spec.replacement ?? '[REDACTED]'
+    };
+  }
+  throw new Error(`Invalid redaction ${JSON.stringify(spec)}`);
+}
+
+function replaceStrings(value, pattern, replacement) {
+  if (typeof value === 'string') return value.replace(pattern, replacement);
+  if (Array.isArray(value)) return value.map(item => replaceStrings(item, pattern, replacement));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, replaceStrings(item, pattern, replacement)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Copy with object keys sorted and _meta removed, for stable diffs
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => key !== '_meta')
+        .sort()
+        .map(key => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Normalise a result and apply redactions
+ * @param {*} value - Tool result
+ * @param {Array} redactions - Redaction specs (see compileRedaction)
+ */
+function prepareSnapshot(value, redactions = DEFAULT_REDACTIONS) {
+  let prepared = normalize(value);
+  for (const redaction of redactions.map(compileRedaction)) {
+    prepared = redaction.path
+      ? replaceJsonPath(prepared, redaction.path, redaction.replacement)
+      : replaceStrings(prepared, redaction.pattern, redaction.replacement);
+  }
+  return prepared;
+}
+
+/**
+ * Differences between two JSON values as { path, expected, actual }
+ */
+function diffValues(expected, actual, at = '$', into = []) {
+  if (deepEqual(expected, actual)) return into;
+
+  const bothArrays = Array.isArray(expected) && Array.isArray(actual);
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+    !Array.isArray(expected) && !Array.isArray(actual);
+
+  if (bothArrays) {
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+      diffValues(expected[i], actual[i], `${at}[${i}]`, into);
+    }
+  } else if (bothObjects) {
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      const child = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+      diffValues(expected[key], actual[key], child, into);
+    }
+  } else {
+    into.push({ path: at, expected, actual });
+  }
+  return into;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'snapshots';
+}
+
+class SnapshotStore {
+  /**
+   * @param {string} directory - The __snapshots__ directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.files = new Map();
+  }
+
+  fileFor(suiteName) {
+    return path.join(this.directory, `${slugify(suiteName)}.snap.json`);
+  }
+
+  async load(file) {
+    if (!this.files.has(file)) {
+      let snapshots = {};
+      try {
+        snapshots = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Could not read snapshot file ${file}: ${error.message}`);
+        }
+      }
+      this.files.set(file, snapshots);
+    }
+    return this.files.get(file);
+  }
+
+  async write(file) {
+    const snapshots = this.files.get(file);
+    const sorted = Object.fromEntries(Object.keys(snapshots).sort().map(key => [key, snapshots[key]]));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(sorted, null, 2) + '\n');
+  }
+
+  /**
+   * Compare a prepared value with its stored snapshot
+   * @param {string} suiteName - Selects the snapshot file
+   * @param {string} key - Snapshot name within the file
+   * @param {*} value - Prepared (normalised and redacted) value
+   * @param {boolean} update - Overwrite instead of comparing
+   * @returns {Promise<{status: string, file: string, differences?: Array}>}
+   *   status is 'created', 'updated', 'matched' or 'mismatched'
+   */
+  async check(suiteName, key, value, update = false) {
+    const file = this.fileFor(suiteName);
+    const snapshots = await this.load(file);
+
+    if (!(key in snapshots) || update) {
+      const status = key in snapshots ? 'updated' : 'created';
+      if (status === 'updated' && deepEqual(snapshots[key], value)) {
+        return { status: 'matched', file };
+      }
+      snapshots[key] = value;
+      await this.write(file);
+      return { status, file };
+    }
+
+    const differences = diffValues(snapshots[key], value);
+    return differences.length === 0
+      ? { status: 'matched', file }
+      : { status: 'mismatched', file, differences };
+  }
+}
+
+module.exports = {
+  SnapshotStore,
+  prepareSnapshot,
+  diffValues,
+  DEFAULT_REDACTIONS
+};
@@ -0,0 +1,105 @@
+/**
+ * stdout pollution detector for stdio servers
+ *
+ * A stdio server may only write JSON-RPC messages to stdout. A stray
+ * console.log() is dropped by the SDK client with no more than a parse
+ * error, or swallows the response it was written next to so the request
+ * hangs. This check spawns the server on a raw channel, runs the handshake
+ * and the list requests, and reports every stdout line that is not a
+ * JSON-RPC message together with the request it followed.
+ */
+
+const { RawJsonRpcChannel } = require('./raw-jsonrpc.js');
+
+const POLLUTION_HINT = 'A stdio server must write only JSON-RPC messages to stdout. ' +
+  'Log with console.error() (stderr) instead of console.log(), or send log messages as MCP logging notifications.';
+
+// Requests made after initialize, with the capability each needs
+const CHECK_REQUESTS = [
+  { method: 'tools/list', capability: 'tools' },
+  { method: 'resources/list', capability: 'resources' },
+  { method: 'prompts/list', capability: 'prompts' },
+  { method: 'ping' }
+];
+
+const MAX_LINE_LENGTH = 500;
+const MAX_STDERR_REPORTED = 2000;
+
+function isJsonRpcMessage(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return false;
+  }
+  const messages = Array.isArray(value) ? value : [value];
+  return messages.length > 0 && messages.every(m => m && typeof m === 'object' && m.jsonrpc === '2.0');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}… (${text.length} chars)` : text;
+}
+
+function describeNear(request, answered) {
+  if (!request) return 'at startup, before initialize';
+  const label = `${request.method} (id ${JSON.stringify(request.id)})`;
+  return answered.has(request.id) ? `after the response to ${label}` : `while ${label} was pending`;
+}
+
+/**
+ * Spawn a stdio server and collect what it writes outside JSON-RPC
+ * @param {Object} transportConfig - stdio transport config
+ * @param {Object} options - { timeout: 5000 } per request
+ * @returns {Promise<Object>} { lines: [{ line, near }], totalLines, stderr,
+ *   exitCode, handshakeError }
+ */
+async function detectStdoutPollution(transportConfig, options = {}) {
+  const timeout = options.timeout ?? 5000;
+  const channel = new RawJsonRpcChannel(transportConfig, { captureStderr: true });
+  await channel.open();
+
+  let handshakeError = null;
+  try {
+    const { capabilities = {} } = await channel.initialize(timeout);
+    for (const { method, capability } of CHECK_REQUESTS) {
+      if (capability && !capabilities[capability]) continue;
+      const response = await channel.request({ jsonrpc: '2.0', id: `stdout-check-${method}`, method }, timeout);
+      if (!response) {
+        throw new Error(channel.closed ? `Server exited during ${method}` : `No response to ${method} within ${timeout}ms`);
+      }
+    }
+  } catch (error) {
+    handshakeError = error.message;
+  } finally {
+    await channel.close();
+  }
+
+  // Walk stdout in order to tell "before the response" from "after it"
+  const answered = new Set();
+  const lines = [];
+  for (const { text, after } of channel.stdoutLines) {
+    if (isJsonRpcMessage(text)) {
+      const message = JSON.parse(text);
+      if (!Array.isArray(message) && message.id !== undefined) answered.add(message.id);
+      continue;
+    }
+    lines.push({
+      line: truncate(text, MAX_LINE_LENGTH),
+      near: describeNear(after, answered),
+      // The response was written on the same line, so the client lost it
+      ...(text.includes('"jsonrpc"') ? { swallowedMessage: true } : {})
+    });
+  }
+
+  return {
+    lines,
+    totalLines: channel.stdoutLines.length,
+    stderr: channel.stderr.length > MAX_STDERR_REPORTED
+      ? `…${channel.stderr.slice(-MAX_STDERR_REPORTED)}`
+      : channel.stderr,
+    exitCode: channel.exitCode,
+    handshakeError
+  };
+}
+
+module.exports = { detectStdoutPollution, isJsonRpcMessage, POLLUTION_HINT };
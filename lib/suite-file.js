@@ -0,0 +1,411 @@
+/**
+ * Declarative test suite files (YAML or JSON)
+ *
+ * Turns a suite file into the transport configs, framework options and
+ * `tests` object that MCPTestFrameworkAdvanced.testServer() expects, so
+ * suites can be written and reviewed without any JavaScript.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { queryJsonPath } = require('./json-path.js');
+const { deepEqual } = require('./json-schema-validator.js');
+const { prepareSnapshot } = require('./snapshots.js');
+const { compileSamplingScript } = require('./sampling-simulator.js');
+const { compileElicitationScript } = require('./elicitation-responder.js');
+
+const SUITE_KEYS = [
+  'name',
+  'transport',
+  'transports',
+  'options',
+  'testDiscovery',
+  'testStability',
+  'testStdoutPollution',
+  'testPerformance',
+  'testProtocolCompliance',
+  'testErrorHandling',
+  'testLogging',
+  'testCancellation',
+  'testResources',
+  'testPrompts',
+  'smokeAllTools',
+  'fuzz',
+  'sampling',
+  'elicitation',
+  'toolTests',
+  'promptTests',
+  'customTests',
+  'transportTests'
+];
+
+const ASSERTION_OPERATORS = ['equals', 'contains', 'regex', 'jsonPath', 'sampling', 'elicitation', 'isError'];
+
+// Assertion keys that select from the requests the server made during the
+// call, and where the tool test passes those requests
+const REQUEST_SELECTORS = {
+  sampling: 'samplingRequests',
+  elicitation: 'elicitationRequests'
+};
+
+/**
+ * Join all text content items of a tool result, or of the messages of a
+ * prompts/get result
+ */
+function textOf(result) {
+  const items = result?.messages ? result.messages.map(m => m.content) : (result?.content || []);
+  return items
+    .filter(item => item && item.type === 'text')
+    .map(item => item.text || '')
+    .join('\n');
+}
+
+function describe(value) {
+  const json = JSON.stringify(value);
+  if (json === undefined) return String(value);
+  return json.length > 200 ? json.substring(0, 200) + '...' : json;
+}
+
+/**
+ * Compile a declarative assertion into an assertion function
+ *
+ * Without a `path` (or `jsonPath`) the subject is the joined text content of
+ * the result (or of the prompt messages); with one, it is the value the JSONPath selects in the raw result.
+ * A `sampling` or `elicitation` JSONPath selects from the requests of that
+ * kind the server made during the call instead, e.g.
+ * { sampling: "$[0].maxTokens", equals: 200 }.
+ *
+ * @param {Object} spec - e.g. { contains: "= 3" } or { path: "$.isError", equals: false }
+ * @param {string} where - Location of the assertion, used in error messages
+ * @returns {Function} async (result, { samplingRequests, elicitationRequests }) => void, throws on failure
+ */
+function compileAssertion(spec, where) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${where}: assertion must be an object`);
+  }
+
+  const operators = ASSERTION_OPERATORS.filter(op => op in spec);
+  if (operators.length === 0) {
+    throw new Error(`${where}: assertion needs one of ${ASSERTION_OPERATORS.join(', ')}`);
+  }
+
+  const requestKinds = Object.keys(REQUEST_SELECTORS).filter(kind => spec[kind] !== undefined);
+  const requestKind = requestKinds[0];
+  if (requestKind && (requestKinds.length > 1 || spec.path || spec.jsonPath)) {
+    throw new Error(`${where}: "${requestKind}" selects its own subject, use it without ${requestKinds.length > 1 ? `"${requestKinds[1]}"` : '"path"/"jsonPath"'}`);
+  }
+  const selector = spec.path || spec.jsonPath || spec[requestKind];
+  const label = requestKind ? `${requestKind} requests ${selector}` : (selector || 'text');
+  const checks = operators.filter(op => op !== 'jsonPath' && !REQUEST_SELECTORS[op]);
+  if (checks.length > 1) {
+    throw new Error(`${where}: assertion combines ${checks.join(' and ')}, use one per entry`);
+  }
+  if (spec.regex !== undefined) {
+    // Compile once up front so bad patterns fail when the file is loaded
+    new RegExp(spec.regex, spec.flags);
+  }
+
+  return async (result, context = {}) => {
+    let subject = textOf(result);
+
+    if (selector) {
+      const target = requestKind ? (context[REQUEST_SELECTORS[requestKind]] || []) : result;
+      const matches = queryJsonPath(target, selector);
+      if (matches.length === 0) {
+        throw new Error(requestKind
+          ? `JSONPath ${selector} matched none of the ${target.length} ${requestKind} request(s)`
+          : `JSONPath ${selector} matched nothing`);
+      }
+      subject = matches.length === 1 ? matches[0] : matches;
+    }
+
+    if ('isError' in spec) {
+      const actual = result?.isError === true;
+      if (actual !== spec.isError) {
+        throw new Error(`Expected isError to be ${spec.isError}, got ${actual}: ${describe(textOf(result))}`);
+      }
+    } else if ('equals' in spec) {
+      if (!deepEqual(subject, spec.equals)) {
+        throw new Error(`Expected ${label} to equal ${describe(spec.equals)}, got ${describe(subject)}`);
+      }
+    } else if ('contains' in spec) {
+      const found = Array.isArray(subject)
+        ? subject.some(item => deepEqual(item, spec.contains))
+        : String(typeof subject === 'string' ? subject : JSON.stringify(subject)).includes(String(spec.contains));
+      if (!found) {
+        throw new Error(`Expected ${label} to contain ${describe(spec.contains)}, got ${describe(subject)}`);
+      }
+    } else if ('regex' in spec) {
+      const text = typeof subject === 'string' ? subject : JSON.stringify(subject);
+      if (!new RegExp(spec.regex, spec.flags).test(text)) {
+        throw new Error(`Expected ${label} to match /${spec.regex}/${spec.flags || ''}, got ${describe(subject)}`);
+      }
+    }
+    // A bare { jsonPath }, { sampling } or { elicitation } only asserts that the path matched, checked above
+  };
+}
+
+function compileAssertions(assertions, where) {
+  if (assertions === undefined) return [];
+  if (!Array.isArray(assertions)) {
+    throw new Error(`${where}: "assertions" must be a list`);
+  }
+  return assertions.map((spec, i) => compileAssertion(spec, `${where} assertion ${i + 1}`));
+}
+
+/**
+ * Build a toolTests entry; unknown keys are passed through untouched
+ */
+function buildToolTest(entry, where) {
+  if (!entry || !entry.toolName) {
+    throw new Error(`${where}: "toolName" is required`);
+  }
+  if (entry.elicitation !== undefined) {
+    try {
+      compileElicitationScript(entry.elicitation);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  if (entry.snapshot && entry.snapshot.redact) {
+    // Reject bad redactions when the file is loaded
+    try {
+      prepareSnapshot(null, entry.snapshot.redact);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  return {
+    ...entry,
+    arguments: entry.arguments || {},
+    assertions: compileAssertions(entry.assertions, where)
+  };
+}
+
+/**
+ * Build a promptTests entry; unknown keys are passed through untouched
+ */
+function buildPromptTest(entry, where) {
+  if (!entry || !entry.promptName) {
+    throw new Error(`${where}: "promptName" is required`);
+  }
+  return {
+    ...entry,
+    arguments: entry.arguments || {},
+    assertions: compileAssertions(entry.assertions, where)
+  };
+}
+
+/**
+ * Build a customTests/transportTests entry that calls one tool
+ */
+function buildCustomTest(entry, where) {
+  if (!entry || !entry.name) {
+    throw new Error(`${where}: "name" is required`);
+  }
+  if (!entry.toolName) {
+    throw new Error(`${where}: "toolName" is required for declarative custom tests`);
+  }
+
+  const assertions = compileAssertions(entry.assertions, where);
+  return {
+    name: entry.name,
+    fn: async (client) => {
+      const result = await client.callTool({
+        name: entry.toolName,
+        arguments: entry.arguments || {}
+      });
+      for (let i = 0; i < assertions.length; i++) {
+        try {
+          await assertions[i](result);
+        } catch (assertError) {
+          throw new Error(`Assertion ${i + 1} failed: ${assertError.message}`);
+        }
+      }
+      return {
+        tool: entry.toolName,
+        assertions: assertions.length,
+        isError: result.isError === true
+      };
+    }
+  };
+}
+
+/**
+ * Replace ${VAR} references with environment variables so secrets such as
+ * auth headers stay out of committed suite files
+ */
+function interpolateEnv(value, where) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`${where}: environment variable ${name} is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateEnv(item, where));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, where)])
+    );
+  }
+  return value;
+}
+
+function buildTransport(config, baseDir, where) {
+  if (!config || typeof config !== 'object' || !config.type) {
+    throw new Error(`${where}: transport needs a "type" (stdio, sse or streamableHttp)`);
+  }
+
+  const transport = interpolateEnv(config, where);
+  // Relative server paths are written relative to the suite file
+  if (transport.type === 'stdio' && !transport.cwd) {
+    transport.cwd = baseDir;
+  } else if (transport.type === 'stdio') {
+    transport.cwd = path.resolve(baseDir, transport.cwd);
+  }
+  if (transport.serve) {
+    if (!transport.serve.command) {
+      throw new Error(`${where}: "serve" needs a "command"`);
+    }
+    transport.serve = { ...transport.serve, cwd: path.resolve(baseDir, transport.serve.cwd || '.') };
+  }
+  return transport;
+}
+
+/**
+ * A suite section that must be a YAML list
+ */
+function listOf(value, where) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${where} must be a list`);
+  }
+  return value;
+}
+
+/**
+ * Convert a parsed suite document into runnable configuration
+ * @param {Object} doc - Parsed YAML/JSON document
+ * @param {string} baseDir - Directory used to resolve relative paths
+ * @returns {{transports: Object[], options: Object, tests: Object}}
+ */
+function buildSuite(doc, baseDir = process.cwd()) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Suite file must contain a mapping at the top level');
+  }
+
+  const unknownKeys = Object.keys(doc).filter(key => !SUITE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown suite keys: ${unknownKeys.join(', ')} (allowed: ${SUITE_KEYS.join(', ')})`);
+  }
+
+  if (doc.transport && doc.transports) {
+    throw new Error('Use either "transport" or "transports", not both');
+  }
+  const transportList = doc.transports || (doc.transport ? [doc.transport] : []);
+  if (!Array.isArray(transportList) || transportList.length === 0) {
+    throw new Error('Suite file must declare a "transport" or a list of "transports"');
+  }
+
+  const tests = {
+    name: doc.name || 'Declarative Test Suite',
+    // Suite files only run what they declare
+    testDiscovery: doc.testDiscovery === true,
+    testStability: doc.testStability === true,
+    testStdoutPollution: doc.testStdoutPollution === true,
+    testPerformance: doc.testPerformance === true,
+    // true, or { rawProbes, probeTimeout }
+    testProtocolCompliance: doc.testProtocolCompliance || false,
+    testErrorHandling: doc.testErrorHandling === true,
+    // true, or { trigger: { toolName, arguments }, settle, level }
+    testLogging: doc.testLogging || false,
+    // { toolName, arguments, cancelAfter, observeFor }
+    testCancellation: doc.testCancellation || false,
+    // true, or { maxReads, templateValues }
+    testResources: doc.testResources || false,
+    // true, or { maxPrompts, argumentValues }
+    testPrompts: doc.testPrompts || false,
+    // true, or { includeDestructive, includeOptional, exclude }
+    smokeAllTools: doc.smokeAllTools || false,
+    // true, or { seed, runs, hangTimeout, maxShrinkAttempts, tools, includeDestructive }
+    fuzz: doc.fuzz || false
+  };
+
+  // { model, responses: [{ match, text | content | reject, model, stopReason }] }
+  if (doc.sampling) {
+    try {
+      compileSamplingScript(doc.sampling);
+    } catch (error) {
+      throw new Error(`sampling: ${error.message}`);
+    }
+    tests.sampling = doc.sampling;
+  }
+  // accept | decline | cancel, or { responses: [{ match, action, content }] }
+  if (doc.elicitation) {
+    try {
+      compileElicitationScript(doc.elicitation);
+    } catch (error) {
+      throw new Error(`elicitation: ${error.message}`);
+    }
+    tests.elicitation = doc.elicitation;
+  }
+
+  if (doc.toolTests) {
+    tests.toolTests = listOf(doc.toolTests, 'toolTests').map((entry, i) => buildToolTest(entry, `toolTests[${i}]`));
+  }
+  if (doc.promptTests) {
+    tests.promptTests = listOf(doc.promptTests, 'promptTests').map((entry, i) => buildPromptTest(entry, `promptTests[${i}]`));
+  }
+  if (doc.customTests) {
+    tests.customTests = listOf(doc.customTests, 'customTests').map((entry, i) => buildCustomTest(entry, `customTests[${i}]`));
+  }
+  if (doc.transportTests) {
+    if (typeof doc.transportTests !== 'object' || Array.isArray(doc.transportTests)) {
+      throw new Error('transportTests must be a mapping of transport type to a list of tests');
+    }
+    tests.transportTests = {};
+    for (const [type, entries] of Object.entries(doc.transportTests)) {
+      tests.transportTests[type] = listOf(entries, `transportTests.${type}`).map((entry, i) =>
+        buildCustomTest(entry, `transportTests.${type}[${i}]`)
+      );
+    }
+  }
+
+  // Snapshots live next to the suite file
+  const options = { ...doc.options };
+  options.snapshotDir = path.resolve(baseDir, options.snapshotDir || '__snapshots__');
+
+  return {
+    transports: transportList.map((config, i) => buildTransport(config, baseDir, `transports[${i}]`)),
+    options,
+    tests
+  };
+}
+
+/**
+ * Load a .yaml, .yml or .json suite file
+ * @param {string} filePath - Path to the suite file
+ */
+async function loadSuiteFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const raw = await fs.readFile(absolutePath, 'utf8');
+
+  let doc;
+  try {
+    doc = path.extname(absolutePath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+
+  return buildSuite(doc, path.dirname(absolutePath));
+}
+
+module.exports = {
+  loadSuiteFile,
+  buildSuite,
+  compileAssertion
+};
@@ -0,0 +1,78 @@
+/**
+ * JSON-RPC traffic recorder
+ *
+ * Wraps SDK client transports so every message sent and received is kept
+ * with a timestamp, its direction and the suite/test that was running.
+ */
+
+class TrafficRecorder {
+  constructor() {
+    this.entries = [];
+    this.currentSuite = null;
+    this.currentTest = null;
+  }
+
+  /**
+   * Record the traffic of a transport. Must be called before the client
+   * connects, because the client assigns `onmessage` in connect().
+   * @param {Object} transport - SDK client transport
+   * @param {string} transportType - Label stored with each entry
+   * @returns {Object} The same transport
+   */
+  attach(transport, transportType) {
+    const recorder = this;
+
+    const send = transport.send.bind(transport);
+    transport.send = (message, options) => {
+      recorder.record('sent', message, transportType);
+      return send(message, options);
+    };
+
+    let handler = transport.onmessage;
+    Object.defineProperty(transport, 'onmessage', {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return handler;
+      },
+      set(value) {
+        handler = typeof value === 'function'
+          ? (message, extra) => {
+            recorder.record('received', message, transportType);
+            return value(message, extra);
+          }
+          : value;
+      }
+    });
+
+    return transport;
+  }
+
+  record(direction, message, transportType) {
+    this.entries.push({
+      timestamp: new Date().toISOString(),
+      direction,
+      transport: transportType,
+      suite: this.currentSuite,
+      test: this.currentTest,
+      message
+    });
+  }
+
+  /**
+   * Entries recorded from index `start`, keeping only the last `limit`
+   */
+  since(start, limit = Infinity) {
+    const entries = this.entries.slice(start);
+    return entries.length > limit ? entries.slice(entries.length - limit) : entries;
+  }
+
+  /**
+   * All entries as JSON Lines
+   */
+  toJsonl() {
+    return this.entries.map(entry => JSON.stringify(entry)).join('\n') + (this.entries.length > 0 ? '\n' : '');
+  }
+}
+
+module.exports = { TrafficRecorder };
@@ -0,0 +1,41 @@
+/**
+ * Messages the SDK client could not match to a pending request
+ *
+ * Once a request is answered, cancelled or timed out, the SDK forgets its
+ * id and progress token. A response or progress notification that still
+ * arrives for it is reported through `client.onerror`, which is the only
+ * public place such late or misaddressed messages show up.
+ */
+
+const UNMATCHED_ERRORS = [
+  { kind: 'progress', pattern: /^Received a progress notification for an unknown token: (.*)$/s },
+  { kind: 'response', pattern: /^Received a response for an unknown message ID: (.*)$/s }
+];
+
+/**
+ * Call onMessage(kind, message) for every unmatched 'progress' notification
+ * or 'response' until the returned function is called; other errors still
+ * reach the previous onerror handler
+ * @returns {Function} Stops watching
+ */
+function watchUnmatchedMessages(client, onMessage) {
+  const previous = client.onerror;
+  client.onerror = (error) => {
+    for (const { kind, pattern } of UNMATCHED_ERRORS) {
+      const match = pattern.exec(error?.message || '');
+      if (!match) continue;
+      try {
+        onMessage(kind, JSON.parse(match[1]));
+        return;
+      } catch {
+        // Not the message format we expected; report as usual
+      }
+    }
+    previous?.(error);
+  };
+  return () => {
+    client.onerror = previous;
+  };
+}
+
+module.exports = { watchUnmatchedMessages };
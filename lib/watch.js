@@ -0,0 +1,347 @@
+/**
+ * Watch mode
+ *
+ * Re-runs the tests whenever watched files change and prints which tests
+ * changed status since the previous run. stdio servers are spawned afresh
+ * by every run, so a run always tests the edited code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Never worth a re-run, even under a catch-all glob
+const IGNORED_SEGMENTS = ['node_modules', '.git', 'test-results', '__snapshots__'];
+// Editor swap and backup files
+const IGNORED_FILES = /(\.sw[a-p]|~|\.tmp)$|^\.#|^4913$/;
+
+/**
+ * Convert a glob to a RegExp over "/"-separated paths
+ * Supports **, *, ?, [abc] and {a,b}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += glob.slice(i, end + 1);
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split a glob into the directory to watch and a matcher for paths in it
+ * @param {string} pattern - Glob or directory, relative to `cwd`
+ */
+function compileWatchPattern(pattern, cwd = process.cwd()) {
+  const absolute = path.resolve(cwd, pattern).split(path.sep).join('/');
+  const segments = absolute.split('/');
+  const firstWild = segments.findIndex(segment => /[*?[{]/.test(segment));
+
+  if (firstWild === -1) {
+    // A plain path: a directory watches everything below it
+    const isDirectory = fs.existsSync(absolute) && fs.statSync(absolute).isDirectory();
+    return isDirectory
+      ? { base: absolute, test: () => true }
+      : { base: path.dirname(absolute), test: file => file === absolute };
+  }
+
+  const base = segments.slice(0, firstWild).join('/') || '/';
+  const regex = globToRegExp(absolute);
+  return { base, test: file => regex.test(file) };
+}
+
+/**
+ * What to watch when --watch has no glob: the directory of the script of
+ * the stdio server (or of the `serve` process), or of the command itself
+ * when that is a file
+ * @returns {string|null}
+ */
+function defaultWatchTarget(transportConfig) {
+  const spec = transportConfig.type === 'stdio' ? transportConfig : transportConfig.serve;
+  if (!spec) return null;
+  const cwd = spec.cwd || process.cwd();
+
+  for (const candidate of [...(spec.args || []), spec.command]) {
+    if (!candidate || candidate.startsWith('-')) continue;
+    const file = path.resolve(cwd, candidate);
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+      return path.dirname(file);
+    }
+  }
+  return null;
+}
+
+/**
+ * fs.watch every directory of a tree except IGNORED_SEGMENTS ones, adding
+ * directories created later as they appear. Recursive fs.watch is not used:
+ * Linux has it only from Node 20, and there it also walks node_modules and
+ * .git.
+ * @param {Function} listener - Called with (event, path relative to base)
+ * @param {Function} onError - Called when a directory cannot be watched
+ *   (EMFILE, ENOSPC, ...); the rest of the tree stays watched
+ * @returns {{close: Function}}
+ */
+function watchTree(base, listener, onError) {
+  const watchers = new Map();
+
+  const unwatch = (dir) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(dir + path.sep)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+
+  const watchDirectory = (dir) => {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, filename) => {
+        if (!filename) return;
+        // Removing a directory also reports it to its own watcher, by name
+        if (!fs.existsSync(dir)) {
+          unwatch(dir);
+          return;
+        }
+        const file = path.join(dir, filename.toString());
+        listener(event, path.relative(base, file));
+        if (event !== 'rename' || IGNORED_SEGMENTS.includes(path.basename(file))) return;
+        if (!fs.existsSync(file)) {
+          unwatch(file);
+        } else if (fs.statSync(file).isDirectory()) {
+          watchDirectory(file);
+        }
+      });
+    } catch (error) {
+      // Removed in the meantime
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') onError(error);
+      return;
+    }
+    watcher.on('error', (error) => {
+      unwatch(dir);
+      // A directory deleted under its watcher is not worth reporting
+      if (fs.existsSync(dir)) onError(error);
+    });
+    watchers.set(dir, watcher);
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_SEGMENTS.includes(entry.name)) {
+        watchDirectory(path.join(dir, entry.name));
+      }
+    }
+  };
+  watchDirectory(base);
+
+  return { close: () => watchers.forEach(watcher => watcher.close()) };
+}
+
+/**
+ * Watch globs and call onChange (debounced) with the changed files
+ * @param {string[]} patterns - Globs or directories
+ * @param {Function} onChange - Called with an array of absolute paths
+ * @param {Object} options - { cwd, debounce: 300, onError }
+ * @returns {{close: Function, bases: string[]}}
+ */
+function watchFiles(patterns, onChange, options = {}) {
+  const debounce = options.debounce ?? 300;
+  const onError = options.onError || (error => console.log(`⚠️  Some files are not watched: ${error.message}`));
+  const matchers = patterns.map(pattern => compileWatchPattern(pattern, options.cwd));
+
+  let changed = new Set();
+  let timer = null;
+  const watchers = [];
+
+  // One watched tree per base directory, shared by its patterns
+  const bases = [...new Set(matchers.map(m => m.base))];
+  for (const base of bases) {
+    if (!fs.existsSync(base)) {
+      throw new Error(`Cannot watch ${base}: directory does not exist`);
+    }
+    watchers.push(watchTree(base, (event, filename) => {
+      if (!filename) return;
+      const file = path.resolve(base, filename.toString()).split(path.sep).join('/');
+      if (file.split('/').some(segment => IGNORED_SEGMENTS.includes(segment))) return;
+      if (IGNORED_FILES.test(path.basename(file))) return;
+      if (!matchers.some(m => m.base === base && m.test(file))) return;
+
+      changed.add(file);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        // Editors that save via a temporary file report its name too
+        const files = [...changed];
+        const existing = files.filter(file => fs.existsSync(file));
+        changed = new Set();
+        onChange(existing.length > 0 ? existing : files);
+      }, debounce);
+    }, onError));
+  }
+
+  return {
+    bases,
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+/**
+ * Status of every test in a report, keyed by transport, suite and test name
+ * @returns {Map<string, string>}
+ */
+function testStatuses(report) {
+  const statuses = new Map();
+  for (const result of report.results || []) {
+    const suite = `${result.transport} › ${result.name}`;
+    if (result.status === 'failed' && result.error) {
+      statuses.set(`${suite} › (suite)`, 'failed');
+    }
+    for (const test of result.tests || []) {
+      // Repeated names (several calls of one tool) get a counter
+      let key = `${suite} › ${test.name}`;
+      for (let n = 2; statuses.has(key); n++) {
+        key = `${suite} › ${test.name} #${n}`;
+      }
+      statuses.set(key, test.status);
+    }
+  }
+  return statuses;
+}
+
+/**
+ * Tests whose status differs between two testStatuses() maps
+ * @returns {{fixed: string[], broken: string[], added: {key, status}[], removed: string[]}}
+ */
+function diffStatuses(previous, current) {
+  const diff = { fixed: [], broken: [], added: [], removed: [] };
+  for (const [key, status] of current) {
+    if (!previous.has(key)) {
+      diff.added.push({ key, status });
+    } else if (previous.get(key) !== status) {
+      (status === 'passed' ? diff.fixed : diff.broken).push(key);
+    }
+  }
+  for (const key of previous.keys()) {
+    if (!current.has(key)) diff.removed.push(key);
+  }
+  return diff;
+}
+
+function printRunSummary(report, duration) {
+  const failures = report.results.flatMap(result => [
+    ...(result.status === 'failed' && result.error ? [`${result.name}: ${result.error.message}`] : []),
+    ...(result.tests || []).filter(test => test.status === 'failed')
+      .map(test => `${test.name}: ${test.error}`)
+  ]);
+
+  const icon = failures.length > 0 ? '❌' : '✅';
+  console.log(`${icon} ${report.summary.passedTests}/${report.summary.totalTests} tests passed in ${(duration / 1000).toFixed(1)}s`);
+  for (const failure of failures) {
+    console.log(`   ✗ ${failure}`);
+  }
+}
+
+function printStatusDiff(diff) {
+  const lines = [
+    ...diff.broken.map(key => `   ↓ now failing: ${key}`),
+    ...diff.fixed.map(key => `   ↑ now passing: ${key}`),
+    ...diff.added.map(({ key, status }) => `   + new (${status}): ${key}`),
+    ...diff.removed.map(key => `   - gone: ${key}`)
+  ];
+  console.log(lines.length > 0 ? `🔀 Changes since last run:\n${lines.join('\n')}` : '🔀 No test changed status');
+}
+
+/**
+ * Run once, then again after every change to the watched files
+ * @param {string[]} patterns - Globs or directories to watch
+ * @param {Function} run - Runs the tests and resolves to a report
+ * @param {Object} options - { cwd, debounce, onError } for watchFiles()
+ */
+async function watchAndRun(patterns, run, options = {}) {
+  let previous = null;
+  let running = false;
+  let pending = null;
+
+  const runOnce = async (files) => {
+    if (running) {
+      pending = [...new Set([...(pending || []), ...files])];
+      return;
+    }
+    running = true;
+
+    if (files) {
+      const shown = files.slice(0, 3).map(file => path.relative(process.cwd(), file) || file);
+      console.log(`\n🔄 ${shown.join(', ')}${files.length > 3 ? ` and ${files.length - 3} more` : ''} changed, re-running at ${new Date().toLocaleTimeString()}`);
+    }
+
+    const start = Date.now();
+    try {
+      const report = await run();
+      printRunSummary(report, Date.now() - start);
+      const current = testStatuses(report);
+      if (previous) printStatusDiff(diffStatuses(previous, current));
+      previous = current;
+    } catch (error) {
+      console.log(`❌ Run failed: ${error.message}`);
+    }
+
+    running = false;
+    console.log('👀 Waiting for changes (Ctrl+C to stop)...');
+    if (pending) {
+      const next = pending;
+      pending = null;
+      await runOnce(next);
+    }
+  };
+
+  const watcher = watchFiles(patterns, files => runOnce(files), options);
+  console.log(`👀 Watching ${patterns.join(', ')}`);
+  await runOnce(null);
+  return watcher;
+}
+
+module.exports = {
+  globToRegExp,
+  compileWatchPattern,
+  defaultWatchTarget,
+  watchFiles,
+  testStatuses,
+  diffStatuses,
+  watchAndRun
+};